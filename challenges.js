@@ -0,0 +1,323 @@
+/*
+Challenge puzzles for the Turing Tumble emulator, with goal checking. Like
+machine.js this file has no DOM dependencies, it is loaded with a script tag
+after machine.js in the browser and can be loaded with require('./challenges.js')
+in Node to check solutions in batch. It also has the truth table tool, to check
+boards that compute a logic function of some input bits (makeTruthTable).
+
+The challenges in CHALLENGES are made up for this emulator, in the style of the
+puzzles of the Turing Tumble puzzle book. They are not the official puzzles.
+
+Each challenge is an object with the fields:
+id: short unique name
+name: title shown in the list
+description: HTML text explaining the goal
+board: ASCII art of the starting board (see the top of index.js for the symbols).
+ All parts on it are pre-placed and locked: they cannot be moved, removed or
+ toggled.
+parts: the inventory of extra parts available to place, by part type, see
+ partType in machine.js. Types not mentioned cannot be placed at all.
+blue, red: amount of blue and red marbles at the top
+lever: the lever (BLUE or RED) that is cranked once to run the solution
+output: optional, the expected sequence of marbles arriving at the bottom
+ (machine.bottommarbles), as a string with 'b' for blue and 'r' for red
+bits: optional, list of [x, y, symbol] with the expected final state of parts
+ such as bits and gear bits after the run
+*/
+
+if(typeof module != 'undefined' && module.exports) {
+  var tumble = require('./machine.js');
+  var Machine = tumble.Machine;
+  var BLUE = tumble.BLUE;
+  var RED = tumble.RED;
+  var partType = tumble.partType;
+  var STATUS_LOOPING = tumble.STATUS_LOOPING;
+}
+
+var CHALLENGE_MAXSTEPS = 10000; // a solution that has not stopped after this many steps fails
+
+var CHALLENGES = [
+  {
+    id: 'gravity',
+    name: 'Gravity',
+    description: 'Make the blue marble go to the right side, so that it releases a red marble. All marbles should end up at the right side, so the output is one blue marble followed by all red marbles.',
+    board: `
+...%...v...
+..v.v.v.v..
+.v.v.v.v.v.
+v.V.v.%.V.v
+.v.v.v.v.v.
+v.v.v.v.v.v
+.v.v.v.v.v.
+v.V.v.v.V.v
+.v.v.v.v.v.
+v.v.v.v.v.v
+.....v.....
+`,
+    parts: {ramp: 2},
+    blue: 4,
+    red: 4,
+    lever: BLUE,
+    output: 'brrrr'
+  },
+  {
+    id: 'crossing',
+    name: 'Crossing paths',
+    description: 'Blue marbles must go to the right side and red marbles to the left side, so the colors alternate. Their paths have to cross each other.',
+    board: `
+...%.../...
+..v.%./.v..
+.v.v.v.v.v.
+v.V.v.v.V.v
+.v.v.v.v.v.
+v.v.v.v.v.v
+.v.v.v.v.v.
+v.V.v.v.V.v
+.v.v.v.v.v.
+v.v.v.v.v.v
+.....v.....
+`,
+    parts: {ramp: 4, crossover: 1},
+    blue: 3,
+    red: 3,
+    lever: BLUE,
+    output: 'brbrbr'
+  },
+  {
+    id: 'flipflop',
+    name: 'Flip-flop',
+    description: 'The bit sends every other blue marble to the right side, the others to the left side. Red marbles must always go to the left side. Produce the output blue, red, blue, blue, red, blue, blue, red, and leave the bit pointing right.',
+    board: `
+...%.../...
+..v.(./.v..
+.v.v.v.v.v.
+v.V.v.v.V.v
+.v.v.v.v.v.
+v.v.v.v.v.v
+.v.v.v.v.v.
+v.V.v.v.V.v
+.v.v.v.v.v.
+v.v.v.v.v.v
+.....v.....
+`,
+    parts: {ramp: 4, crossover: 1},
+    blue: 5,
+    red: 5,
+    lever: BLUE,
+    output: 'brbbrbbr',
+    bits: [[4, 1, ')']]
+  }
+];
+
+// returns the challenge with the given id, or null
+function getChallenge(id) {
+  for(var i = 0; i < CHALLENGES.length; i++) {
+    if(CHALLENGES[i].id == id) return CHALLENGES[i];
+  }
+  return null;
+}
+
+// returns the starting board of the challenge as a new Machine, with the marble counts of the challenge and its pre-placed parts locked
+function makeChallengeMachine(challenge) {
+  var m = new Machine(11, 11, challenge.blue);
+  m.loadText(challenge.board);
+  for(var y = 0; y < m.h; y++) {
+    for(var x = 0; x < m.w; x++) {
+      if(partType(m.board[y][x])) m.setLocked(x, y, true);
+    }
+  }
+  m.numblue = m.totalblue = challenge.blue;
+  m.numred = m.totalred = challenge.red;
+  return m;
+}
+
+// converts a list of marble colors such as machine.bottommarbles to a string of 'b' and 'r'
+function marblesToString(marbles) {
+  var s = '';
+  for(var i = 0; i < marbles.length; i++) s += (marbles[i] == RED) ? 'r' : 'b';
+  return s;
+}
+
+/*
+Checks a solution for the challenge. board is the board of the solution, as
+ASCII art. This verifies that the locked parts are still there and that no more
+parts were used than the inventory allows, then runs the machine from that
+board with the marble counts of the challenge by cranking its lever once, and
+compares the result with the goal.
+Returns an object with fields:
+pass: whether the solution is correct
+message: explanation of why it failed, or a confirmation if it passed
+output: the output the solution produced, as string of 'b' and 'r' (empty if it could not run)
+*/
+function checkChallenge(challenge, board) {
+  var start = makeChallengeMachine(challenge);
+  var m = makeChallengeMachine(challenge);
+  m.loadText(board);
+  var result = {pass: false, message: '', output: ''};
+
+  var used = {};
+  for(var y = 0; y < m.h; y++) {
+    for(var x = 0; x < m.w; x++) {
+      var a = start.board[y][x];
+      var b = m.board[y][x];
+      var ta = partType(a);
+      var tb = partType(b);
+      if(ta && (ta != tb || (ta != 'gear' && a != b))) {
+        result.message = 'The locked part at x=' + x + ', y=' + y + ' was changed.';
+        return result;
+      }
+      if(tb && !ta) used[tb] = (used[tb] || 0) + 1;
+    }
+  }
+  for(var t in used) {
+    var available = challenge.parts[t] || 0;
+    if(used[t] > available) {
+      result.message = 'Used ' + used[t] + ' of part type ' + t + ', but only ' + available + ' available.';
+      return result;
+    }
+  }
+
+  if(!m.crank(challenge.lever)) {
+    result.message = 'No marbles available for the lever of this challenge.';
+    return result;
+  }
+  m.run(CHALLENGE_MAXSTEPS);
+  result.output = marblesToString(m.bottommarbles);
+  if(m.status == STATUS_LOOPING) {
+    result.message = 'The marbles loop forever: the state repeats every ' + m.cycle.length + ' steps, with output ' +
+                     (m.cycle.outputs.length ? marblesToString(m.cycle.outputs) : 'nothing') + ' per cycle.';
+    return result;
+  }
+  if(!m.cannotContinue()) {
+    result.message = 'The marbles did not stop within ' + CHALLENGE_MAXSTEPS + ' steps.';
+    return result;
+  }
+
+  if(challenge.output != undefined && result.output != challenge.output) {
+    result.message = 'Expected output ' + challenge.output + ' but got ' + (result.output || 'nothing') + '.';
+    return result;
+  }
+  if(challenge.bits) {
+    for(var i = 0; i < challenge.bits.length; i++) {
+      var e = challenge.bits[i];
+      var c = m.board[e[1]][e[0]];
+      if(c != e[2]) {
+        result.message = 'Expected ' + e[2] + ' at x=' + e[0] + ', y=' + e[1] + ' after the run, but got ' + c + '.';
+        return result;
+      }
+    }
+  }
+
+  result.pass = true;
+  result.message = 'Solved! Output: ' + result.output + '.';
+  return result;
+}
+
+/*
+Makes a truth table of a board: runs it once for every combination of the input
+bits, each time from the given board with all marbles at the top, cranking the
+lever once. m is a Machine with the board and marble counts to use (it is not
+changed), inputs a list of [x, y] of bits or gear bits, outputs a list of [x, y]
+of bits or gear bits whose final state is the output, or null to use the
+marbles arriving at the bottom as output.
+Each input and output bit is 1 if the part points right. The rows are in binary
+counting order with the last input changing fastest.
+Returns an object with fields:
+rows: list of {input, output, stopped} with input and output as strings of 0
+ and 1 in the order of the cells (or the output as string of 'b' and 'r'), and
+ stopped false if the marbles did not stop within CHALLENGE_MAXSTEPS steps
+error: message if the table cannot be made, in which case rows is empty
+*/
+function makeTruthTable(m, inputs, outputs, lever) {
+  var result = {rows: [], error: ''};
+  var groups = {};
+  var cells = inputs.concat(outputs || []);
+  for(var i = 0; i < cells.length; i++) {
+    var cell = cells[i];
+    var t = partType(m.board[cell[1]] && m.board[cell[1]][cell[0]]);
+    if(t != 'bit' && t != 'gearbit') {
+      result.error = 'The cell at x=' + cell[0] + ', y=' + cell[1] + ' is not a bit or gear bit.';
+      return result;
+    }
+    if(i < inputs.length && t == 'gearbit') {
+      // gear bits in the same group always point the same way, so they cannot be separate inputs
+      var group = m.getGearGroup(cell[0], cell[1]);
+      for(var j = 0; j < group.length; j++) {
+        if(groups[group[j].join(',')]) {
+          result.error = 'The inputs at x=' + cell[0] + ', y=' + cell[1] + ' and x=' + group[j][0] + ', y=' + group[j][1] + ' are connected by gears.';
+          return result;
+        }
+      }
+      groups[cell.join(',')] = true;
+    }
+  }
+
+  var text = m.toText();
+  for(var i = 0; i < (1 << inputs.length); i++) {
+    var run = new Machine(m.w, m.h, 0);
+    run.loadText(text);
+    run.physics = m.physics;
+    run.numblue = run.totalblue = m.totalblue;
+    run.numred = run.totalred = m.totalred;
+    var row = {input: '', output: '', stopped: false};
+    for(var j = 0; j < inputs.length; j++) {
+      var x = inputs[j][0], y = inputs[j][1];
+      var bit = (i >> (inputs.length - 1 - j)) & 1;
+      var c = run.board[y][x];
+      var right = (c == ')' || c == '}');
+      if(right != !!bit) {
+        if(c == '(' || c == ')') run.board[y][x] = bit ? ')' : '(';
+        else run.toggleGear(x, y);
+      }
+      row.input += bit;
+    }
+    if(run.crank(lever)) {
+      run.run(CHALLENGE_MAXSTEPS);
+      row.stopped = run.cannotContinue() || run.status == STATUS_LOOPING;
+    }
+    if(outputs) {
+      for(var j = 0; j < outputs.length; j++) {
+        var c = run.board[outputs[j][1]][outputs[j][0]];
+        row.output += (c == ')' || c == '}') ? '1' : '0';
+      }
+    } else {
+      row.output = marblesToString(run.bottommarbles);
+    }
+    result.rows.push(row);
+  }
+  return result;
+}
+
+/*
+Compares the rows of a truth table (see makeTruthTable) with an expected table
+given as text, with on each line an input and the expected output separated by
+spaces, such as "01 1". Empty lines are ignored. Sets the field expected of each
+row (undefined if the text does not mention its input) and returns the amount of
+rows whose output differs from the expected one.
+*/
+function compareTruthTable(rows, expected) {
+  var table = {};
+  var lines = expected.split('\n');
+  for(var i = 0; i < lines.length; i++) {
+    var parts = lines[i].trim().split(/\s+/);
+    if(parts.length >= 2) table[parts[0]] = parts[1];
+  }
+  var failed = 0;
+  for(var i = 0; i < rows.length; i++) {
+    rows[i].expected = table[rows[i].input];
+    if(rows[i].expected != undefined && rows[i].expected != rows[i].output) failed++;
+  }
+  return failed;
+}
+
+if(typeof module != 'undefined' && module.exports) {
+  module.exports = {
+    CHALLENGES: CHALLENGES,
+    getChallenge: getChallenge,
+    makeChallengeMachine: makeChallengeMachine,
+    marblesToString: marblesToString,
+    checkChallenge: checkChallenge,
+    makeTruthTable: makeTruthTable,
+    compareTruthTable: compareTruthTable
+  };
+}
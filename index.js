@@ -38,19 +38,23 @@ g: gear on gear-only spot
 e: empty space
 f: 3 empty spaces
 z: 9 empty spaces
+Optionally followed by _ and the amount of blue and red marbles separated by _, and by _L and the locked cells as hex code (see Machine.prototype.getLockCode).
 
-The board has 11x11 pins.
+The standard board has 11x11 pins, other sizes can be chosen with the size button or the w and h URL parameters.
 Some pins at the top left and right corner, and all but the center of the bottom row, are unused
 Half the pins are full and support all components, the other half support only gear, these form two diamond shaped grids on one 11x11 grid, if you know what I mean...
 
 Blue balls start at x=2,y=-1 with velx=1
 Red balls start at x=8,y=-1 with velx=-1
 Any ball ending up in bottom left half spawns blue ball, any in bottom right half spawns red ball
-Multiple balls at same time are not supported.
+Multiple balls can roll at the same time: cranking a lever while balls are rolling releases an extra one. Balls queue up behind each other (for example behind an interceptor), see Machine.prototype.step in machine.js for the exact rules.
 
-Ball physics for long falls and parabolic paths are not emulated. Only going from component to component works correctly. On empty places, the ball will fall straight down.
+By default, ball physics for long falls and parabolic paths are not emulated. Only going from component to component works correctly. On empty places, the ball will fall straight down.
+With the physics option enabled, a ball leaving a part with momentum keeps flying sideways over empty places along a parabolic path (see fallDrift in machine.js) and lands on the part nearest to where it comes down. Landings that could go either way on the real board mark the board as non-deterministic.
 
 Gear updates are computed with floodfill algorithm.
+
+The simulation itself is in machine.js (the Machine object, which has no DOM dependencies), the challenge puzzles and their goal checking in challenges.js, this file is the user interface rendering it.
 */
 
 // This variable will be true only if the user is doing any active editing. Only
@@ -91,33 +95,6 @@ function bind(f, arg) {
   return result;
 }
 
-
-
-function clone(obj) {
-  // Handle the 3 simple types, and null or undefined
-  if(null == obj || "object" != typeof obj) return obj;
-
-  // Handle Array
-  if(obj instanceof Array) {
-    var copy = [];
-    for (var i = 0, len = obj.length; i < len; i++) {
-        copy[i] = clone(obj[i]);
-    }
-    return copy;
-  }
-
-  // Handle Object
-  if (obj instanceof Object) {
-    var copy = new obj.constructor(); //This makes it also have the correct prototype
-    for(var attr in obj) {
-      if(obj.hasOwnProperty(attr)) copy[attr] = clone(obj[attr]);
-    }
-    return copy;
-  }
-
-  throw new Error("Cloning this object not supported.");
-}
-
 // gets CGI parameter from URL
 function getParameterByName(name, opt_url) {
   var url = opt_url || window.location.href;
@@ -159,31 +136,34 @@ function clearLocalStorage(name) {
 
 var W = 11; // board width
 var H = 11; // board height
-var S = 32; // div render size in pixels (of one tile)
 var MARBLEDEFAULT = 20; // standard amount of blue and red marbles
 
-// different sizes: only supports W of form 11+4*N for some integer N, and odd H
-var url_w = getParameterByName('w');
-if(url_w) {
-  W = parseInt(url_w, 10);
-  if((W & 3) != 3) W |= 3;
-  if(W < 0) W = 3;
-  if(W > 27) W = 27;
+// different sizes: W must be odd so that the board has a middle, see also the Machine constructor
+var MINW = 7;
+var MINH = 5;
+var MAXSIZE = 99;
+
+// returns the nearest valid board size to the given one, as [w, h]
+function validBoardSize(w, h) {
+  w = Math.max(MINW, Math.min(MAXSIZE, w | 1));
+  h = Math.max(MINH, Math.min(MAXSIZE, h));
+  return [w, h];
 }
+
+var url_w = getParameterByName('w');
+if(url_w) W = validBoardSize(parseInt(url_w, 10) || 11, H)[0];
 var url_h = getParameterByName('h');
-if(url_h) {
-  H = parseInt(url_h, 10);
-  if((H & 1) != 1) H |= 1;
-  if(H < 0) H = 11;
-  if(H > 27) H = 27;
-}
+if(url_h) H = validBoardSize(W, parseInt(url_h, 10) || 11)[1];
+
+var D = launchRampOffset(W); // same as Machine.d
 
-var D = Math.floor(W / 4);
+// div render size in pixels of one tile: 32, or smaller for large boards so that they fit in the window
+var S = Math.max(12, Math.min(32, Math.floor(Math.min((window.innerWidth - 350) / W, (window.innerHeight - 120) / (H + 4)))));
 
 
 var url_marbledefault = getParameterByName('m');
 if(url_marbledefault) {
-  MARBLEDEFAULT = parseInt(url_marbledefault, 10);
+  MARBLEDEFAULT = parseMarbleCount(url_marbledefault); // 'u' for unlimited
 }
 
 // template
@@ -235,143 +215,67 @@ texturemap['h'] = 14;
 texturemap[' '] = 15;
 
 
-var board = [];
-// num on top
-var numblue = MARBLEDEFAULT;
-var numred = MARBLEDEFAULT;
-// num on entire board (virtually, as some may have disappeared)
-var totalblue = MARBLEDEFAULT;
-var totalred = MARBLEDEFAULT;
-
-function loadFromText(s) {
-  if(!s) return null;
-  var board = [];
-  var spos = 0;
-  for(var y = 0; y < H; y++) {
-    while(s.charCodeAt(spos) < 32) spos++;
-    board[y] = [];
-    for(var x = 0; x < W; x++) {
-      var c = s[spos];
-      if(c == ' ' || c == '.' || c == 'v' || c == 'V') c = getEmpty(x, y);
-      if(c == '%') c = '\\';
-      board[y][x] = c;
-      spos++;
-    }
-  }
-  return board;
-}
-
-function saveToText(board) {
-  var s = '';
-  for(var y = 0; y < H; y++) {
-    for(var x = 0; x < W; x++) {
-      s += board[y][x];
-    }
-    s += '\n';
-  }
-  return s;
-}
+var machine = new Machine(W, H, MARBLEDEFAULT);
 
 // stringifies a good starting state, NOT the currently ball-rolling state but what you would get after pressing 'restart'
-function stringifyState() {
+// Format: W,H,MARBLEDEFAULT,ascii art of the board, optionally followed by fields of the form ,name=value
+// opt_machine, opt_registers and opt_info can give another machine (such as one of another size), registers and board information to stringify instead of the current ones, its board is used as is.
+function stringifyState(opt_machine, opt_registers, opt_info) {
+  var m = opt_machine || machine;
   var saveboard = undefined;
-  if(status == STATUS_CRANK) {
-    saveboard = board;
+  if(opt_machine || machine.status == STATUS_CRANK) {
+    saveboard = m.board;
   } else if(undoboard2 && undoboard2.length == H) {
     saveboard = undoboard2;
   } else {
-    saveboard = board;
+    saveboard = machine.board;
   }
   var text = '';
-  text += W + ',';
-  text += H + ',';
-  text += MARBLEDEFAULT + ',';
-  text += saveToText(saveboard);
+  text += m.w + ',';
+  text += m.h + ',';
+  text += marbleCountToText(MARBLEDEFAULT) + ',';
+  text += m.toText(saveboard);
+  if(m.totalblue != MARBLEDEFAULT || m.totalred != MARBLEDEFAULT) text += ',marbles=' + marbleCountToText(m.totalblue) + '_' + marbleCountToText(m.totalred);
+  if(m.hasLocks()) text += ',locked=' + m.getLockCode();
+  if((opt_registers || registers).length) text += ',registers=' + registersToText(opt_registers);
+  var info = opt_info || boardinfo;
+  if(!boardInfoIsEmpty(info)) text += ',info=' + encodeURIComponent(JSON.stringify(info));
   return text;
 }
 
-// returns false if W, H or MARBLEDEFAULT do not match, as that means the URL parameters changed and loading this state is not desired
-function parseState(text) {
+// parses text made by stringifyState, without loading it. Returns object {w, h, marbles, board (ascii art), fields (the optional name=value fields)}, or null if invalid.
+function parseStateText(text) {
   var s = text.split(',');
-  if(s.length != 4) return false;
-  var w = parseInt(s[0], 10);
-  var h = parseInt(s[1], 10);
-  if(w != W || h != H) return false;
-  board = loadFromText(s[3]);
-  if(!board) return false;
-  setMarblesDefault(parseInt(s[2], 10));
-
-  return true;
-}
-
-function loadFromUrl(url) {
-  var parts = url.split('_');
-  var s = parts[0];
-  numblue = parts.length > 1 ? parseInt(parts[1], 10) : 20;
-  numred = parts.length > 2 ? parseInt(parts[2], 10) : 20;
-  totalblue = numblue;
-  totalred = numred;
-
-  s = s.replace(/f/g, 'eee');
-  s = s.replace(/z/g, 'eeeeeeeee');
-  var spos = 0;
-  for(var y = 0; y < H; y++) {
-    board[y] = [];
-    for(var x = 0; x < W; x++) {
-      var c = s[spos];
-      var e = getEmpty(x, y);
-
-      if(e == ' ') { board[y][x] = e; continue; }
-      else if(e == '.' && c == 'g') c = '*';
-      else if(e == '.' && c == 'g') c = '*';
-      else if(e == '.' && c != 'g') { board[y][x] = e; continue; }
-      else if(c == 'r') c = '\\';
-      else if(c == 'l') c = '/';
-      else if(c == 'i') c = '_';
-      else if(c == 'x') c = 'x';
-      else if(c == '0') c = '(';
-      else if(c == '1') c = ')';
-      else if(c == 'a') c = '{';
-      else if(c == 'b') c = '}';
-      else if(c == 'c') c = '*';
-      else c = getEmpty(x, y);
-      board[y][x] = c;
-      spos++;
-    }
+  if(s.length < 4) return null;
+  var result = {w: parseInt(s[0], 10), h: parseInt(s[1], 10), marbles: parseMarbleCount(s[2]), board: s[3], fields: {}};
+  if(!(result.w > 0 && result.h > 0) || isNaN(result.marbles)) return null;
+  for(var i = 4; i < s.length; i++) {
+    var eq = s[i].indexOf('=');
+    if(eq > 0) result.fields[s[i].substr(0, eq)] = s[i].substr(eq + 1);
   }
+  return result;
 }
 
-function toUrl() {
-  var result = '';
-  for(var y = 0; y < H; y++) {
-    for(var x = 0; x < W; x++) {
-      var e = getEmpty(x, y);
-      var c = board[y][x];
-
-      if(e == ' ') continue;
-      else if(e == '.' && c == '*') c = 'g';
-      else if(e == '.' && c == '+') c = 'g';
-      else if(e == '.' && c != '*' && c != '+') continue;
-      else if(c == '\\') c = 'r';
-      else if(c == '/') c = 'l';
-      else if(c == '_') c = 'i';
-      else if(c == 'x') c = 'x';
-      else if(c == '(') c = '0';
-      else if(c == ')') c = '1';
-      else if(c == '{') c = 'a';
-      else if(c == '}') c = 'b';
-      else if(c == '*') c = 'c';
-      else if(c == '+') c = 'c';
-      else c = 'e';
-      result += c;
-    }
+// returns false if W, H or MARBLEDEFAULT do not match, as that means the URL parameters changed and loading this state is not desired
+function parseState(text) {
+  var state = parseStateText(text);
+  if(!state) return false;
+  if(state.w != W || state.h != H) return false;
+  if(!machine.loadText(state.board)) return false;
+  setMarblesDefault(state.marbles);
+  if(state.fields['marbles']) {
+    var m = state.fields['marbles'].split('_');
+    machine.numblue = machine.totalblue = parseMarbleCount(m[0]);
+    machine.numred = machine.totalred = parseMarbleCount(m[1]);
+    updateBallCount();
   }
-  result = result.replace(/eeeeeeeee/g, 'z');
-  result = result.replace(/eee/g, 'f');
-  if(numblue != 20 || numred != 20) result += '_' + numblue + '_' + numred;
-  return result;
-}
+  if(state.fields['locked']) machine.loadLockCode(state.fields['locked']);
+  registers = state.fields['registers'] ? registersFromText(state.fields['registers']) : [];
+  updateRegisterOverlays();
+  boardinfo = state.fields['info'] ? boardInfoFromText(state.fields['info']) : emptyBoardInfo();
 
+  return true;
+}
 
 function resetURL() {
   if(!hasurlcode) return;
@@ -389,30 +293,274 @@ function resetURL() {
 var divs = [];
 
 var mainleft = 150;
-var maintop = 120;
+var maintop = 56 + 2 * S; // room for the marble counts and the launch ramps above the board
+
+// The board cells, launch ramps, marbles and register overlays are children of boardview, which is zoomed and
+// panned with a CSS transform inside the clipping boardviewport. The children keep using page coordinates
+// (mainleft + x * S, ...), boardview is offset to compensate for the position of the viewport. The viewport shows the
+// rows from the launch ramps (y = -1) to the row below the board (y = H) where marbles leave it. The lever buttons
+// overlap the sides of that last row, they are made later so they stay on top and clickable.
+var boardviewport = makeDiv(mainleft, maintop - S, W * S, (H + 2) * S);
+boardviewport.style.overflow = 'hidden';
+boardviewport.style.touchAction = 'none';
+var boardview = makeDiv(-mainleft, -(maintop - S), 0, 0, boardviewport);
+boardview.style.transformOrigin = '' + mainleft + 'px ' + (maintop - S) + 'px';
+
+var MINZOOM = 0.25;
+var MAXZOOM = 4;
+var zoom = 1;
+var panx = 0; // offset of the board in the viewport, in pixels
+var pany = 0;
+
+function updateBoardView() {
+  boardview.style.transform = 'translate(' + panx + 'px, ' + pany + 'px) scale(' + zoom + ')';
+  if(selection) updateSelectionDiv(); // its bar is not zoomed along
+}
 
-function getEmpty(x, y) {
-  if(x + y < D) return ' ';
-  if((W - 1 - x) + y < D) return ' ';
+// keeps the board from being panned out of view: a board larger than the viewport must cover it, a smaller one must stay inside it
+function clampPan() {
+  var vw = boardviewport.offsetWidth || W * S;
+  var vh = boardviewport.offsetHeight || (H + 2) * S;
+  var dx = vw - W * S * zoom;
+  var dy = vh - (H + 2) * S * zoom;
+  panx = Math.max(Math.min(0, dx), Math.min(Math.max(0, dx), panx));
+  pany = Math.max(Math.min(0, dy), Math.min(Math.max(0, dy), pany));
+}
+
+// zooms to z while keeping the board point under viewport position px,py in place
+function zoomAt(z, px, py) {
+  z = Math.max(MINZOOM, Math.min(MAXZOOM, z));
+  panx = px - (px - panx) * z / zoom;
+  pany = py - (py - pany) * z / zoom;
+  zoom = z;
+  clampPan();
+  updateBoardView();
+}
+
+function zoomBy(factor) {
+  zoomAt(zoom * factor, boardviewport.offsetWidth / 2, boardviewport.offsetHeight / 2);
+}
+
+// shows the whole board, at most at the normal size
+function zoomToFit() {
+  zoom = Math.min(1, boardviewport.offsetWidth / (W * S), boardviewport.offsetHeight / ((H + 2) * S));
+  panx = 0;
+  pany = 0;
+  clampPan();
+  updateBoardView();
+}
+
+// position of a mouse or touch event in the viewport
+function viewportPos(e) {
+  var rect = boardviewport.getBoundingClientRect();
+  return [e.clientX - rect.left, e.clientY - rect.top];
+}
+
+// ctrl+wheel zooms, this is also what browsers send for touchpad pinch gestures
+boardviewport.addEventListener('wheel', function(e) {
+  if(!e.ctrlKey) return;
+  e.preventDefault();
+  var pos = viewportPos(e);
+  zoomAt(zoom * Math.exp(-e.deltaY * (e.deltaMode ? 0.05 : 0.002)), pos[0], pos[1]);
+}, {passive: false});
+
+// dragging with the middle mouse button or with shift held pans, instead of editing the cells
+var panning = null;
+
+boardviewport.addEventListener('mousedown', function(e) {
+  if(e.button != 1 && !(e.button == 0 && e.shiftKey)) return;
+  panning = {x: e.clientX - panx, y: e.clientY - pany};
+  e.preventDefault();
+  e.stopPropagation();
+}, true);
+
+boardviewport.addEventListener('click', function(e) {
+  if(e.shiftKey) e.stopPropagation();
+}, true);
+
+window.addEventListener('mousemove', function(e) {
+  if(!panning) return;
+  panx = e.clientX - panning.x;
+  pany = e.clientY - panning.y;
+  clampPan();
+  updateBoardView();
+});
+
+window.addEventListener('mouseup', function() {
+  panning = null;
+});
+
+// two finger pinch zooms and pans, a short two finger tap without moving undoes
+var pinch = null;
+var TWOFINGERTAPTIME = 400; // milliseconds
+
+function pinchState(e) {
+  var a = viewportPos(e.touches[0]);
+  var b = viewportPos(e.touches[1]);
+  return {dist: Math.max(1, Math.sqrt((a[0] - b[0]) * (a[0] - b[0]) + (a[1] - b[1]) * (a[1] - b[1]))), x: (a[0] + b[0]) / 2, y: (a[1] + b[1]) / 2};
+}
+
+boardviewport.addEventListener('touchstart', function(e) {
+  if(e.touches.length != 2) return;
+  e.preventDefault();
+  pinch = pinchState(e);
+  pinch.zoom = zoom;
+  pinch.panx = panx;
+  pinch.pany = pany;
+  pinch.time = Date.now();
+  pinch.moved = false;
+}, {passive: false});
+
+boardviewport.addEventListener('touchmove', function(e) {
+  if(!pinch || e.touches.length != 2) return;
+  e.preventDefault();
+  var p = pinchState(e);
+  if(Math.abs(p.dist - pinch.dist) > 10 || Math.abs(p.x - pinch.x) > 10 || Math.abs(p.y - pinch.y) > 10) pinch.moved = true;
+  var z = Math.max(MINZOOM, Math.min(MAXZOOM, pinch.zoom * p.dist / pinch.dist));
+  // the board point that was under the center of the fingers follows the center
+  panx = p.x - (pinch.x - pinch.panx) * z / pinch.zoom;
+  pany = p.y - (pinch.y - pinch.pany) * z / pinch.zoom;
+  zoom = z;
+  clampPan();
+  updateBoardView();
+}, {passive: false});
+
+boardviewport.addEventListener('touchend', function(e) {
+  if(!pinch || e.touches.length >= 2) return;
+  if(!pinch.moved && Date.now() - pinch.time < TWOFINGERTAPTIME) {
+    e.preventDefault();
+    undo();
+  }
+  pinch = null;
+});
+
+function makeZoomButton(text, title, fun) {
+  var el = makeSizedElement('button', 0, 0, 24, 24);
+  el.innerHTML = text;
+  el.title = title;
+  el.style.padding = '0';
+  el.onclick = fun;
+  return el;
+}
+
+var zoombuttons = [
+  makeZoomButton('+', 'zoom in (ctrl+mouse wheel or pinch on the board also zoom, shift+drag or middle mouse drag pans)', bind(zoomBy, 1.25)),
+  makeZoomButton('-', 'zoom out', bind(zoomBy, 0.8)),
+  makeZoomButton('[ ]', 'zoom to fit the whole board', zoomToFit)
+];
 
-  if(x - y - D > 2 && (W - x) - D - 1 - y > 2) return ' ';
+// container of the right column of buttons and info boxes, moved around by updateLayout
+var rightpanel = makeDiv(mainleft + S * (W + 2), 0, 0, 0);
+
+// On narrow windows such as phones, the board view is narrowed to the window (zoom and pan to reach the rest of the board),
+// and the right column moves below the board, next to the part counters.
+function updateLayout() {
+  var narrow = window.innerWidth < mainleft + S * (W + 2) + 170;
+  var vieww = narrow ? Math.max(4 * S, Math.min(W * S, window.innerWidth - mainleft - 40)) : W * S;
+  boardviewport.style.width = '' + vieww + 'px';
+  rightpanel.style.left = '' + (narrow ? mainleft + 130 : mainleft + S * (W + 2)) + 'px';
+  rightpanel.style.top = '' + (narrow ? (H + 4) * S : 0) + 'px';
+  for(var i = 0; i < zoombuttons.length; i++) {
+    zoombuttons[i].style.left = '' + (mainleft + vieww + 4) + 'px';
+    zoombuttons[i].style.top = '' + (maintop + i * 28) + 'px';
+  }
+  clampPan();
+  updateBoardView();
+}
 
-  //if(x == ((W-1)/2) && y == 0) return ' ';
+window.addEventListener('resize', updateLayout);
 
-  if(x != ((W-1)/2) && y >= (H - 1)) return ' ';
-  if(W == 11 && H == 11 && (x == 2 || x == 8) && (y == 3 || y == 7)) return 'V';
-  return (x  % 2 == y % 2) ? '.' : 'v';
+function getEmpty(x, y) {
+  return machine.getEmpty(x, y);
 }
 
 var lastRightClickRemovedCell = '';
 var lastRightClickX = 0;
 var lastRightClickY = 0;
 
+// removes the part at x,y, like a right click. Removing from an already empty cell puts back the part that was last
+// removed there.
+function removeCellAt(x, y) {
+  var e = getEmpty(x, y);
+  if(machine.isLocked(x, y)) return;
+  if(machine.board[y][x] == e) {
+    // reason for only allowing to put back if x/y match: otherwise you could put non-allowed parts on gear-only spots with this, plus
+    // it's also not the goal that you can use the right mouse button to draw parts in other locations, it's just an undo for accidental
+    // right-click removal on this spot
+    if(lastRightClickRemovedCell && lastRightClickX == x && lastRightClickY == y && inventoryAllows(e, lastRightClickRemovedCell)) {
+      saveUndo();
+      machine.board[y][x] = lastRightClickRemovedCell;
+    }
+  } else {
+    saveUndo();
+    lastRightClickRemovedCell = machine.board[y][x];
+    lastRightClickX = x;
+    lastRightClickY = y;
+    machine.board[y][x] = e;
+  }
+  updateCell(x, y);
+  updateCounters();
+}
+
+// this is for when you continue dragging after the tool was activated on the first cell
+function paintCellAt(x, y) {
+  if(tool == 'select') {
+    extendSelection(x, y);
+    return;
+  }
+  var v = tool;
+  if(tool == 'h' || tool == 'o' || tool == 'O' || tool == 'lock' || tool == 'break' || tool == 'register' || tool == 'stamp') return;
+  var e = getEmpty(x, y);
+  if(e == ' ') return;
+  if((e == '.' || e == ' ') && v != '*' && v != '+' && v != ' ' && v != '.' && v != 'v') return;
+  if(!editAllowed(x, y, machine.board[y][x], v == 'v' ? e : v)) return;
+  if(!undosavedforstroke) saveUndo();
+  var old = machine.board[y][x];
+  machine.board[y][x] = v == 'v' ? e : v;
+  updateCounterFromTo(old, v);
+  updateCell(x, y);
+}
+
+// this is only for the gear-only spots, which are handled on click rather than when the tool is activated
+function clickGearSpot(x, y) {
+  var e = getEmpty(x, y);
+  var isgear = (machine.board[y][x] == '*' || machine.board[y][x] == '+');
+  var removing = isgear && (tool == '(' || tool == ')' || tool == '_' || tool == '/' || tool == '\\' || tool == 'x');
+  if(e == '.' && (tool == '{' || tool == '}' || removing) && !editAllowed(x, y, machine.board[y][x], isgear ? '.' : '*')) {
+    showEditRefusal(x, y, '*');
+    return;
+  }
+  if(e == '.' && (tool == '{' || tool == '}')) {
+    saveUndo();
+    if(isgear) machine.board[y][x] = '.';
+    else machine.board[y][x] = '*';
+    updateCounter('*', isgear ? -1 : 1);
+    updateCell(x, y);
+    did_any_editing = true;
+  } else if(e == '.' && (tool == '(' || tool == ')' || tool == '_' || tool == '/' || tool == '\\' || tool == 'x')) {
+    if(isgear) {
+      saveUndo();
+      machine.board[y][x] = '.';
+      updateCounter('*', -1);
+      updateCell(x, y);
+      did_any_editing = true;
+    }
+  }
+}
+
+// uses the selected tool on a single cell, like a click with the mouse, for touch and keyboard input
+function useToolAt(x, y) {
+  undosavedforstroke = false;
+  activateTool(x, y);
+  clickGearSpot(x, y);
+  endSelectionMove();
+}
+
 function initBoardDivs() {
   for(var y = 0; y < H; y++) {
     divs[y] = [];
     for(var x = 0; x < W; x++) {
-      var div = makeDiv(mainleft + x * S, maintop + y * S, S, S);
+      var div = makeDiv(mainleft + x * S, maintop + y * S, S, S, boardview);
       divs[y][x] = div;
       updateCell(x, y);
     }
@@ -428,19 +576,7 @@ function initBoardDivs() {
       divs[y][x].onmousedown = bind(function(x, y, event) {
         if(event.buttons == 2) {
           // right click, remove item
-          var e = getEmpty(x, y);
-          if(board[y][x] == e) {
-            // reason for only allowing to put back if x/y match: otherwise you could put non-allowed parts on gear-only spots with this, plus
-            // it's also not the goal that you can use the right mouse button to draw parts in other locations, it's just an undo for accidental
-            // right-click removal on this spot
-            if(lastRightClickRemovedCell && lastRightClickX == x && lastRightClickY == y) board[y][x] = lastRightClickRemovedCell;
-          } else {
-            lastRightClickRemovedCell = board[y][x];
-            lastRightClickX = x;
-            lastRightClickY = y;
-            board[y][x] = e;
-          }
-          updateCell(x, y);
+          removeCellAt(x, y);
           event.preventDefault();
           if (event.stopPropagation) event.stopPropagation();
           event.cancelBubble = true;
@@ -449,6 +585,7 @@ function initBoardDivs() {
 
         if(event.buttons == 1) {
           // main tool update
+          undosavedforstroke = false;
           activateTool(x, y);
         }
       }, x, y);
@@ -457,40 +594,78 @@ function initBoardDivs() {
         return false;
       };
       divs[y][x].onmouseenter = bind(function(x, y, event) {
-        // this is for when you continue dragging after onmousedown already happened
-        if(event.buttons != 1) return;
-        var v = tool;
-        if(tool == 'h' || tool == 'o' || tool == 'O') return;
-        var e = getEmpty(x, y);
-        if(e == ' ') return;
-        if((e == '.' || e == ' ') && v != '*' && v != '+' && v != ' ' && v != '.' && v != 'v') return;
-        updateCounterFromTo(board[y][x], v);
-        board[y][x] = v == 'v' ? e : v;
-        updateCell(x, y);
+        if(tool == 'stamp') updateStampPreview(x, y);
+        if(event.buttons != 1 || panning) return;
+        paintCellAt(x, y);
       }, x, y);
       divs[y][x].onclick = bind(function(x, y, event) {
-        // onclick is only for the gear-only spots
-        var e = getEmpty(x, y);
-        var isgear = (board[y][x] == '*' || board[y][x] == '+');
-        if(e == '.' && (tool == '{' || tool == '}')) {
-          updateCounter('*', isgear ? -1 : 1);
-          if(isgear) board[y][x] = '.';
-          else board[y][x] = '*';
-          updateCell(x, y);
-          did_any_editing = true;
-        } else if(e == '.' && (tool == '(' || tool == ')' || tool == '_' || tool == '/' || tool == '\\' || tool == 'x')) {
-          if(isgear) {
-            board[y][x] = '.';
-            updateCounter('*', -1);
-            updateCell(x, y);
-            did_any_editing = true;
-          }
-        }
+        clickGearSpot(x, y);
       }, x, y);
     }
   }
 }
 
+// Touch input: a tap activates the tool like a click, dragging paints across cells, a long press removes like a
+// right click, and a short tap with two fingers undoes. Two finger pinch zooms, see the board view above.
+var LONGPRESSTIME = 500; // milliseconds
+
+var celltouch = null; // the single finger touch on the board in progress
+
+// the board cell under a touch, taking zoom and pan into account. Row -1 is the launch ramp row, row H the one below the board.
+function touchCell(touch) {
+  var pos = viewportPos(touch);
+  var x = Math.floor((pos[0] - panx) / zoom / S);
+  var y = Math.floor((pos[1] - pany) / zoom / S) - 1;
+  return [x, y];
+}
+
+function cancelCellTouch() {
+  if(celltouch) window.clearTimeout(celltouch.timer);
+  celltouch = null;
+}
+
+boardviewport.addEventListener('touchstart', function(e) {
+  cancelCellTouch();
+  if(e.touches.length != 1) return;
+  var cell = touchCell(e.touches[0]);
+  // only touches on board cells are handled here, the launch ramps, marbles and register values get the click the browser emulates
+  if(cell[1] < 0 || cell[1] >= H || cell[0] < 0 || cell[0] >= W || e.target != divs[cell[1]][cell[0]]) return;
+  celltouch = {x: cell[0], y: cell[1], dragging: false, longpressed: false};
+  celltouch.timer = window.setTimeout(function() {
+    if(!celltouch || celltouch.dragging) return;
+    celltouch.longpressed = true;
+    removeCellAt(celltouch.x, celltouch.y);
+  }, LONGPRESSTIME);
+});
+
+boardviewport.addEventListener('touchmove', function(e) {
+  if(!celltouch || e.touches.length != 1) return;
+  e.preventDefault();
+  if(celltouch.longpressed) return;
+  var cell = touchCell(e.touches[0]);
+  if(cell[0] == celltouch.x && cell[1] == celltouch.y) return;
+  if(!celltouch.dragging) {
+    // the drag starts with the tool on the first cell, like a mouse drag
+    window.clearTimeout(celltouch.timer);
+    celltouch.dragging = true;
+    undosavedforstroke = false;
+    activateTool(celltouch.x, celltouch.y);
+  }
+  celltouch.x = cell[0];
+  celltouch.y = cell[1];
+  if(cell[0] >= 0 && cell[0] < W && cell[1] >= 0 && cell[1] < H) paintCellAt(cell[0], cell[1]);
+}, {passive: false});
+
+boardviewport.addEventListener('touchend', function(e) {
+  if(!celltouch) return;
+  // no emulated mouse events for touches handled here, they would activate the tool a second time
+  e.preventDefault();
+  if(!celltouch.dragging && !celltouch.longpressed) useToolAt(celltouch.x, celltouch.y);
+  cancelCellTouch();
+});
+
+boardviewport.addEventListener('touchcancel', cancelCellTouch);
+
 function updateBoard() {
   for(var y = 0; y < H; y++) {
     for(var x = 0; x < W; x++) {
@@ -498,109 +673,135 @@ function updateBoard() {
     }
   }
   updateCounters();
+  updateWatchPanel();
 }
 
-var ball = undefined;
-var ballx = D-1;
-var bally = -1-1;
-var velx = 1;
-var BLUE = 0; // enum constant
-var RED = 1; // enum constant
-var color = BLUE;
+var balldivs = []; // one div per marble that is rolling, in the same order as machine.marbles
 
 function initBallDiv() {
-  ball = makeDiv(0, 0, S, S);
-
-  ball.onclick = function() {
-    removeBall();
-  };
-
-  updateBallTexture();
   updateBallPos();
 }
 
+function getBallDiv(i) {
+  while(balldivs.length <= i) {
+    var ball = makeDiv(0, 0, S, S, boardview);
+    ball.onclick = bind(function(ball) {
+      for(var j = 0; j < machine.marbles.length; j++) {
+        if(machine.marbles[j].id == ball.marbleid) machine.removeMarble(j);
+      }
+      if(machine.marbles.length == 0) removeBall();
+      else updateBallPos();
+      recordTimeline('remove marble');
+    }, ball);
+    balldivs.push(ball);
+  }
+  return balldivs[i];
+}
+
+// removes all marbles from the board
 var removeBall = function() {
   window.clearTimeout(timeoutid);
   timeoutid = undefined;
-  ballx = D - 1;
-  bally = H + 2;
-  velx = 1;
-  color = BLUE;
-  updateBallTexture();
+  machine.removeMarbles();
   updateBallPos();
   updateBallCount();
-  velhistory = [];
   updateTimeButtonBorders();
-  status = STATUS_CRANK;
   updateStatusBox();
 };
 
 var updateBallPos = function() {
-  ball.style.top = '' + (maintop + bally * S) + 'px';
-  ball.style.left = '' + (mainleft + ballx * S) + 'px';
-  if(bally < -1 || bally > H) ball.style.visibility = 'hidden';
-  else ball.style.visibility = 'visible';
+  for(var i = 0; i < Math.max(balldivs.length, machine.marbles.length); i++) {
+    var ball = getBallDiv(i);
+    var marble = machine.marbles[i];
+    if(!marble || marble.y < -1 || marble.y > H) {
+      ball.style.visibility = 'hidden';
+      continue;
+    }
+    ball.marbleid = marble.id;
+    ball.style.top = '' + (maintop + marble.y * S) + 'px';
+    ball.style.left = '' + (mainleft + marble.x * S) + 'px';
+    ball.style.visibility = 'visible';
+  }
   updateBallTexture();
 };
 
 var updateBallTexture = function() {
-  var danger = false;
-  if(board[bally] && board[bally][ballx]) {
-    var b = board[bally][ballx];
-    if(b == '.' || b == 'v' || b == '*' || b == '+') danger = true;
-    // in crossing but with unknown direction
-    if(b == 'x' && (velhistory.length == 0 || velhistory[velhistory.length - 1] == 0)) danger = true;
-  }
-  var t = texturemap[color ? 'O' : 'o'];
-  if(danger) t += 8;
+  for(var i = 0; i < machine.marbles.length; i++) {
+    var marble = machine.marbles[i];
+    var t = texturemap[marble.color ? 'O' : 'o'];
+    if(machine.inDanger(marble)) t += 8;
+    setTile(getBallDiv(i), t);
+  }
+};
+
+// shows tile t of the tiles texture atlas (8x8 tiles of 32 pixels) as background of the element, scaled to the tile size S
+function setTile(el, t) {
   var tilex = t % 8;
   var tiley = Math.floor(t / 8);
-  var tilesize = 32;
-  ball.className = 'tiles';
-  ball.style.backgroundPosition = '' + (-tilesize * tilex) + 'px ' + (-tilesize * tiley) + 'px';
-};
+  el.className = 'tiles';
+  el.style.backgroundSize = '' + (8 * S) + 'px ' + (8 * S) + 'px';
+  el.style.backgroundPosition = '' + (-S * tilex) + 'px ' + (-S * tiley) + 'px';
+}
 
 function addLaunchRamps() {
-  var el =  makeDiv(mainleft + D * S, maintop - S, 32, 32);
-  el.style.width = '' + tilesize + 'px';
-  el.style.height = '' + tilesize + 'px';
-  el.className = 'tiles';
-  var tilesize = 32;
-  el.style.backgroundPosition = '' + (-tilesize * 0) + 'px ' + (-tilesize * 2) + 'px';
+  var el =  makeDiv(mainleft + D * S, maintop - S, S, S, boardview);
+  setTile(el, 16);
   el.onclick = bind(activateTool, D, -1);
 
-  el =  makeDiv(mainleft + (W - D - 1) * S, maintop - S, 32, 32);
-  el.style.width = '' + tilesize + 'px';
-  el.style.height = '' + tilesize + 'px';
-  el.className = 'tiles';
-  var tilesize = 32;
-  el.style.backgroundPosition = '' + (-tilesize * 1) + 'px ' + (-tilesize * 2) + 'px';
+  el =  makeDiv(mainleft + (W - D - 1) * S, maintop - S, S, S, boardview);
+  setTile(el, 17);
   el.onclick = bind(activateTool, W - D - 1, -1);
 }
 
 addLaunchRamps();
 
 function updateCell(x, y) {
-  var c = board[y][x];
+  var c = machine.board[y][x];
   if(c == ' ') {
     c = getEmpty(x, y);
   }
   if(!c) c = ' ';
 
-  var tilex = texturemap[c] % 8;
-  var tiley = Math.floor(texturemap[c] / 8);
-  var tilesize = 32;
-  divs[y][x].className = 'tiles';
-  divs[y][x].style.backgroundPosition = '' + (-tilesize * tilex) + 'px ' + (-tilesize * tiley) + 'px';
+  setTile(divs[y][x], texturemap[c]);
+  divs[y][x].style.outline = isAmbiguousCell(x, y) ? '2px dashed orange' : checkOutline(x, y);
+  divs[y][x].style.outlineOffset = '-2px';
+  divs[y][x].style.boxShadow = machine.isLocked(x, y) ? 'inset 0 0 0 3px rgba(0, 0, 0, 0.35)' : '';
+  divs[y][x].style.backgroundColor = (findCellBreakpoint(x, y) >= 0) ? '#fcc' : (isRegisterSelected(x, y) ? '#ccf' : '');
+  divs[y][x].title = bitLabel(x, y);
+}
+
+// the tiles texture atlas, for drawing boards on a canvas
+var tilesimage = new Image();
+tilesimage.src = 'tiles.png?v=20180722';
+
+// draws the board (array of rows of symbols) on a canvas 2D context, with the given size in pixels per cell
+function drawBoard(ctx, board, w, h, size) {
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, w * size, h * size);
+  for(var y = 0; y < h; y++) {
+    for(var x = 0; x < w; x++) {
+      var t = texturemap[board[y][x]];
+      if(t == undefined) t = texturemap[' '];
+      drawTile(ctx, t, x * size, y * size, size);
+    }
+  }
+}
+
+// whether a marble had an ambiguous landing on this cell, with physics enabled
+function isAmbiguousCell(x, y) {
+  for(var i = 0; i < machine.ambiguous.length; i++) {
+    if(machine.ambiguous[i][0] == x && machine.ambiguous[i][1] == y) return true;
+  }
+  return false;
 }
 
 // bottom marble result
-var bottommarbles = []; // 0 for blue, 1 for red
 var bottomdiv = makeDiv(mainleft + (W - 1) * S, maintop + (H + 1) * S, S, S);
 bottomdiv.dir = 'rtl';
 
 function updateBottomDiv() {
   bottomdiv.innerHTML = '';
+  var bottommarbles = machine.bottommarbles;
   for (var i = bottommarbles.length - 1; i >= 0; i--) {
     bottomdiv.innerHTML += (bottommarbles[i] ? '<font color="red">r</font>' : '<font color="blue">b</font>');
   }
@@ -612,21 +813,26 @@ function updateBottomDiv() {
 
 var numbluediv = makeDiv(mainleft + D * S + 8, maintop - 2 * S, 32, 32);
 numbluediv.style.color = 'blue';
-numbluediv.innerHTML = numblue;
+numbluediv.innerHTML = marbleCountToHTML(machine.numblue);
 var numreddiv = makeDiv(mainleft + (W - D - 1) * S + 16 - 2, maintop - 2 * S, 32, 32);
-numreddiv.innerHTML = numred;
+numreddiv.innerHTML = marbleCountToHTML(machine.numred);
 numreddiv.style.color = 'red';
 
+// shows the marble count, with the infinity sign for unlimited marbles
+function marbleCountToHTML(n) {
+  return (n == Infinity) ? '&infin;' : ('' + n);
+}
+
 function updateBallCount() {
-  numbluediv.innerHTML = numblue;
-  numreddiv.innerHTML = numred;
+  numbluediv.innerHTML = marbleCountToHTML(machine.numblue);
+  numreddiv.innerHTML = marbleCountToHTML(machine.numred);
 }
 
 var blueplus = makeDiv(mainleft + D * S + 24 + 8, maintop - 2 * S, 32, 32);
 blueplus.innerHTML = '<b>+</b>';
 blueplus.onclick = function() {
-  numblue++;
-  totalblue++;
+  machine.numblue++;
+  machine.totalblue++;
   updateBallCount();
 }
 blueplus.title = 'add extra blue marbles';
@@ -634,9 +840,9 @@ blueplus.title = 'add extra blue marbles';
 var blueminus = makeDiv(mainleft + D * S - 20 + 8, maintop - 2 * S, 32, 32);
 blueminus.innerHTML = '<b>-</b>';
 blueminus.onclick = function() {
-  if(numblue <= 0) return;
-  numblue--;
-  totalblue--;
+  if(machine.numblue <= 0) return;
+  machine.numblue--;
+  machine.totalblue--;
   updateBallCount();
 }
 blueminus.title = 'remove blue marbles';
@@ -644,8 +850,8 @@ blueminus.title = 'remove blue marbles';
 var redplus = makeDiv(mainleft + (W - D - 1) * S + 40 - 2, maintop - 2 * S, 32, 32);
 redplus.innerHTML = '<b>+</b>';
 redplus.onclick = function() {
-  numred++;
-  totalred++;
+  machine.numred++;
+  machine.totalred++;
   updateBallCount();
 }
 redplus.title = 'add extra red marbles';
@@ -653,19 +859,16 @@ redplus.title = 'add extra red marbles';
 var redminus = makeDiv(mainleft + (W - D - 1) * S - 4 - 2, maintop - 2 * S, 32, 32);
 redminus.innerHTML = '<b>-</b>';
 redminus.onclick = function() {
-  if(numred <= 0) return;
-  numred--;
-  totalred--;
+  if(machine.numred <= 0) return;
+  machine.numred--;
+  machine.totalred--;
   updateBallCount();
 }
 redminus.title = 'remove red marbles';
 
 function setMarblesDefault(num) {
   MARBLEDEFAULT = num;
-  numblue = MARBLEDEFAULT;
-  numred = MARBLEDEFAULT;
-  totalblue = MARBLEDEFAULT;
-  totalred = MARBLEDEFAULT;
+  machine.setMarblesDefault(num);
   updateBallCount();
 }
 
@@ -697,9 +900,16 @@ marbles99.style.padding = '0';
 marbles99.onclick = function() { did_any_editing = true; setMarblesDefault(99); }
 marbles99.title = 'set default marbles to 99';
 
+var marblesinf = makeSizedElement('button', mainleft + ((W >> 1)) * S + 72, maintop - 2 * S, 20, 20);
+marblesinf.innerHTML = '&infin;';
+marblesinf.style.textAlign = 'center';
+marblesinf.style.padding = '0';
+marblesinf.onclick = function() { did_any_editing = true; setMarblesDefault(Infinity); }
+marblesinf.title = 'set default marbles to unlimited. The marbles may then keep going forever, if the state of the machine repeats this is detected and shown as looping';
+
 // If the initial marble default is not 20 (this can only be caused by CGI parameter), add an extra button with that amount
-if(MARBLEDEFAULT != 0 && MARBLEDEFAULT != 8 && MARBLEDEFAULT != 20 && MARBLEDEFAULT != 99) {
-  var marblesx = makeSizedElement('button', mainleft + ((W >> 1)) * S + 72, maintop - 2 * S, 20, 20);
+if(MARBLEDEFAULT != 0 && MARBLEDEFAULT != 8 && MARBLEDEFAULT != 20 && MARBLEDEFAULT != 99 && MARBLEDEFAULT != Infinity) {
+  var marblesx = makeSizedElement('button', mainleft + ((W >> 1)) * S + 94, maintop - 2 * S, 20, 20);
   marblesx.innerHTML = MARBLEDEFAULT;
   marblesx.style.textAlign = 'center';
   marblesx.style.padding = '0';
@@ -714,243 +924,113 @@ function updateAll() {
   updateBallCount();
 }
 
+function updateCells(cells) {
+  for(var i = 0; i < cells.length; i++) updateCell(cells[i][0], cells[i][1]);
+}
+
 function toggleGear(x0, y0) {
-  var stack = [[x0, y0]];
-  var seen = {};
-  var all = [];
-  while(stack.length > 0) {
-    var x = stack[stack.length - 1][0];
-    var y = stack[stack.length - 1][1];
-    stack.pop();
-    seen['' + x + ',' + y] = true;
-    all.push([x, y]);
-    for(var i = 0; i < 4; i++) {
-      var x2 = (i == 0 ? (x + 1) : (i == 2 ? (x - 1) : x));
-      var y2 = (i == 1 ? (y + 1) : (i == 3 ? (y - 1) : y));
-      if(x2 < 0 || x2 >= W || y2 < 0 || y2 >= H) continue;
-      var c = board[y2][x2];
-      if(!(c == '}' || c == '{' || c == '*' || c == '+')) continue;
-      if(seen['' + x2 + ',' + y2]) continue;
-      seen['' + x2 + ',' + y2] = true;
-      stack.push([x2, y2]);
-    }
-  }
-  for(var i = 0; i < all.length; i++) {
-    var x = all[i][0];
-    var y = all[i][1];
-    if(board[y][x] == '{') board[y][x] = '}';
-    else if(board[y][x] == '}') board[y][x] = '{';
-    else if(board[y][x] == '*') board[y][x] = '+';
-    else if(board[y][x] == '+') board[y][x] = '*';
-    updateCell(x, y);
-  }
+  updateCells(machine.toggleGear(x0, y0));
+  updateWatchPanel();
 }
 
 // make all gears in this group point to the same side, because a group doesn't work
 // if two gears point in a different direction, they get stuck.
 function fixGearGroup(x0, y0) {
-  var stack = [[x0, y0]];
-  var seen = {};
-  var all = [];
-  while(stack.length > 0) {
-    var x = stack[stack.length - 1][0];
-    var y = stack[stack.length - 1][1];
-    stack.pop();
-    seen['' + x + ',' + y] = true;
-    all.push([x, y]);
-    for(var i = 0; i < 4; i++) {
-      var x2 = (i == 0 ? (x + 1) : (i == 2 ? (x - 1) : x));
-      var y2 = (i == 1 ? (y + 1) : (i == 3 ? (y - 1) : y));
-      if(x2 < 0 || x2 >= W || y2 < 0 || y2 >= H) continue;
-      var c = board[y2][x2];
-      if(!(c == '}' || c == '{' || c == '*' || c == '+')) continue;
-      if(seen['' + x2 + ',' + y2]) continue;
-      seen['' + x2 + ',' + y2] = true;
-      stack.push([x2, y2]);
-    }
-  }
-  var symbol = 'x';
-  if(board[y0][x0] == '}') symbol = '}';
-  if(board[y0][x0] == '{') symbol = '{';
-  for(var i = 0; i < all.length; i++) {
-    var x = all[i][0];
-    var y = all[i][1];
-    if(board[y][x] == '{' || board[y][x] == '}') {
-      if(symbol == 'x') symbol = board[y][x];
-      if(board[y][x] != symbol) {
-        board[y][x] = symbol;
-        updateCell(x, y);
-      }
-    }
-  }
+  updateCells(machine.fixGearGroup(x0, y0));
 }
 
-var STATUS_CRANK = 0; // the initial state: balls not started yet, must crank a lever to begin
-var STATUS_ROLLING = 1; // actively rolling
-var STATUS_INTERCEPTED = 2; // ball is in interceptor so stopped
-var STATUS_NOBLUE = 3; // ran out of blue balls so stopped
-var STATUS_NORED = 4; // ran out of red balls so stopped
-var status = STATUS_CRANK;
-
-
-var velhistory = []; // for stepping backwards in time
-
 var timeoutid = undefined;
 var duration = 300; // step duration in milliseconds (inverse of speed)
 var paused = false;
 
+// updates the visuals after a step of the machine, given the result of machine.step()
+function renderStep(result) {
+  updateCells(result.changed);
+  updateCells(machine.ambiguous);
+  if(result.outputs.length) updateBottomDiv();
+  updateBallCount();
+  updateStatusBox();
+  updateBallPos();
+}
+
 function move() {
   timeoutid = undefined;
-  var stopped = false;
-  if(bally == -2) {
-    if(color == BLUE) {
-      if(numblue <= 0) {
-        stopped = true;
-        status = STATUS_NOBLUE;
-        updateStatusBox();
-      }
-      else numblue--;
-    } else {
-      if(numred <= 0) {
-        stopped = true;
-        status = STATUS_NORED;
-        updateStatusBox();
-      }
-      else numred--;
-    }
-    updateBallCount();
-  }
-  if(velx > 0 && ballx == W - 1) velx = 0;
-  if(velx < 0 && ballx == 0) velx = 0;
-  velhistory.push(velx);
-  ballx += velx;
-  bally++;
-  if(bally == H + 1) {
-    velhistory[velhistory.length - 1] = -ballx + velx; // put velocity in it as if we go to x position 0 at end of board
-    bottommarbles.push(color);
-    updateBottomDiv();
-    var newcolor;
-    if(ballx < W / 2) {
-      newcolor = BLUE;
-    } else {
-      newcolor = RED;
-    }
-    var outofmarbles = false;
-    if(newcolor == BLUE) {
-      if(numblue <= 0) {
-        outofmarbles = true;
-        status = STATUS_NOBLUE;
-        updateStatusBox();
-      }
-    } else {
-      if(numred <= 0) {
-        outofmarbles = true;
-        status = STATUS_NORED;
-        updateStatusBox();
-      }
-    }
-    if(!outofmarbles) {
-      if(ballx < W / 2) {
-        ballx = D-1;
-        bally = -1-1;
-        velx = 1;
-      } else {
-        ballx = W-D-1+1;
-        bally = -1-1;
-        velx = -1;
-      }
-      color = newcolor;
-    }
-    updateBallTexture();
-  } else if(bally > H + 1) {
-    stopped = true;
-  } else if(ballx >= W) {
-    console.log('error! going out of board shoult not happen here');
-    ballx = W - 1;
-    velx = 0;
-  } else if(ballx < 0) {
-    console.log('error! going out of board shoult not happen here');
-    ballx = 0;
-    velx = 0;
-  } else if(ballx >= 0 && ballx < W && bally >= 0 && bally < H) {
-    if(board[bally][ballx] == '_') {
-      stopped = true;
-      status = STATUS_INTERCEPTED;
-      updateStatusBox();
-    } else if(board[bally][ballx] == '\\') {
-      velx = 1;
-    } else if(board[bally][ballx] == '/') {
-      velx = -1;
-    } else if(board[bally][ballx] == '(') {
-      board[bally][ballx] = ')';
-      velx = 1;
-      updateCell(ballx, bally);
-    } else if(board[bally][ballx] == ')') {
-      board[bally][ballx] = '(';
-      velx = -1;
-      updateCell(ballx, bally);
-    } else if(board[bally][ballx] == '{' || board[bally][ballx] == '}') {
-      if(board[bally][ballx] == '{') velx = 1;
-      else velx = -1;
-      toggleGear(ballx, bally);
-    } else if(board[bally][ballx] == 'x') {
-      if(velx == 0) velx = (color == BLUE ? 1 : -1);
-    } else {
-      velx = 0;
-    }
-  }
-
-  if(bally < H + 1 && bally > -2 && !stopped && status != STATUS_ROLLING) {
-    status = STATUS_ROLLING;
-    updateStatusBox();
+  recordTimeline('edit');
+  var result = machine.step();
+  renderStep(result);
+  recordTimeline('step');
+  var hit = checkBreakpoints(result);
+  lastbreak = hit;
+  if(hit) {
+    paused = true;
+    updateTimeButtonBorders();
   }
-
-  updateBallPos();
+  updateWatchPanel();
   if(!paused) {
-    if(!stopped) timeoutid = window.setTimeout(move, duration);
+    if(!result.stopped) timeoutid = window.setTimeout(move, duration);
     else updateTimeButtonBorders();
   }
 }
 
-// move in inverse time direction
+// move in inverse time direction, to the previous snapshot of the timeline
 function backwards() {
-  if(velhistory.length == 0) return;
-  if(status != STATUS_ROLLING) {
-    status = STATUS_ROLLING;
-    updateStatusBox();
-  }
-  if(bally == -2) {
-    if(bottommarbles.length == 0) return;
-    bally = H + 1;
-    ballx = 0; // we store velocity history of the new marble situation as if from x=0
-    color = bottommarbles.pop();
-    updateBottomDiv();
-    updateBallTexture();
-  } else if(bally > H + 1) {
-    if(bottommarbles.length == 0) return;
-    ballx = 0;
-    color = bottommarbles.pop();
-    updateBottomDiv();
-    updateBallTexture();
-  } else if(ballx >= 0 && ballx < W && bally >= 0 && bally < H) {
-    if(board[bally][ballx] == '(') {
-      board[bally][ballx] = ')';
-    } else if(board[bally][ballx] == ')') {
-      board[bally][ballx] = '(';
-    } else if(board[bally][ballx] == '{' || board[bally][ballx] == '}') {
-      toggleGear(ballx, bally);
-    }
-    updateCell(ballx, bally);
-  }
-  velx = velhistory.pop();
-  ballx -= velx;
-  bally--;
-  if(bally == -2) {
-    if(color) numred++; else numblue++;
-    updateBallCount();
+  recordTimeline('edit');
+  timeTravel(timepos - 1);
+}
+
+// Time travel: snapshots of the full state (see machine.getState) over the whole session, so that any
+// earlier moment can be returned to, also across lever cranks, stops, resets and manually placed marbles.
+// machine.back() can only go back through the steps since the last reset.
+
+// max amount of snapshots remembered: 10000 for the standard board, fewer for large boards so that they take about the same memory
+var MAXTIMELINE = Math.max(200, Math.min(10000, Math.floor(1500000 / (W * H))));
+// snapshots as {label, board, state} with board the rows of the board joined by newlines, and state the JSON text of
+// the rest of machine.getState(). Most steps do not flip anything, so consecutive snapshots share the same board string.
+var timeline = [];
+var timepos = -1; // index in timeline of the snapshot the machine is at
+
+// adds a snapshot of the current state to the timeline, if it differs from the one the machine is at. label describes what happened.
+function recordTimeline(label) {
+  var state = machine.getState();
+  var board = state.board.join('\n');
+  state.board = null;
+  state = JSON.stringify(state);
+  var current = timepos >= 0 ? timeline[timepos] : null;
+  if(current && current.board == board) {
+    if(current.state == state) return;
+    board = current.board;
   }
-  updateBallPos();
+  timeline.length = timepos + 1; // changing something after travelling back discards the later snapshots
+  timeline.push({label: label, board: board, state: state});
+  if(timeline.length > MAXTIMELINE) timeline.shift();
+  timepos = timeline.length - 1;
+  updateTimeScrubber();
+}
+
+// returns the state of the snapshot with the given index in the timeline, as given by machine.getState
+function getTimelineState(i) {
+  var state = JSON.parse(timeline[i].state);
+  state.board = timeline[i].board.split('\n');
+  return state;
+}
+
+// restores the snapshot with the given index in the timeline. This pauses time.
+function timeTravel(i) {
+  recordTimeline('edit'); // do not lose board edits done since the last snapshot
+  if(i < 0 || i >= timeline.length || i == timepos) return;
+  paused = true;
+  window.clearTimeout(timeoutid);
+  timeoutid = undefined;
+  var ambiguous = machine.ambiguous;
+  machine.setState(getTimelineState(i));
+  timepos = i;
+  updateCells(ambiguous);
+  updateAll();
+  updateBottomDiv();
+  updateStatusBox();
+  updateCounters();
   updateTimeButtonBorders();
+  updateTimeScrubber();
 }
 
 ////////////////////////////////////////////////////////////////////////////////
@@ -997,8 +1077,7 @@ function placeButton(v, fun, opt_smallright, opt_right, opt_parent) {
     if(opt_right) rbuttony -= 37; else buttony -= 37;
   }
   var x = opt_smallright ? 42 : 5;
-  if(opt_right) x += mainleft + S * (W + 2);
-  var result = makeButton(x, opt_right ? rbuttony : buttony, v, fun, v.length == 1, opt_parent);
+  var result = makeButton(x, opt_right ? rbuttony : buttony, v, fun, v.length == 1, opt_parent || (opt_right ? rightpanel : undefined));
   var h = (v.length == 1 ? 37 : 28);
   if(opt_right) rbuttony += h; else buttony += h;
   return result;
@@ -1033,16 +1112,90 @@ function makeHelp(text, w, h) {
   helpdiv.style.boxShadow = '3px 3px 3px #bbb';
 }
 
-var undoboard = clone(board);
-var undoboard2 = clone(board);
+// escapes text typed by users (names of saved boards, registers, ...) for use in the HTML of makeHelp
+function escapeHtml(text) {
+  return ('' + text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// makes a text button inside a dialog made with makeHelp
+function makeDialogButton(parent, text, title, fun) {
+  var button = makeElement('button', parent);
+  button.innerHTML = text;
+  button.title = title;
+  button.style.marginRight = '4px';
+  button.onclick = fun;
+  return button;
+}
+
+var MAXUNDO = 1000; // max amount of board edits remembered for undo
+var undostack = []; // board states (see getUndoState) before each edit, for undo
+var redostack = []; // board states of undone edits, for redo
+var undoboard2 = [];
+var undobutton;
+var redobutton;
+
+// returns the board with its locks as one string, as kept in the undo and redo stacks. With opt_full, also the
+// marble counts, registers, board info and breakpoints, for edits that change those too, such as transforms and loading a board.
+function getUndoState(opt_full) {
+  var state = machine.toText() + '|' + machine.getLockCode();
+  if(opt_full) state += '|' + JSON.stringify({marbledefault: marbleCountToText(MARBLEDEFAULT), totalblue: marbleCountToText(machine.totalblue), totalred: marbleCountToText(machine.totalred), registers: registers, boardinfo: boardinfo, breakpoints: breakpoints});
+  return state;
+}
+
+// the board text ends with a newline, and the rest has none: JSON escapes them
+function isFullUndoState(state) {
+  return state.indexOf('|', state.lastIndexOf('\n') + 2) >= 0;
+}
+
+function setUndoState(state) {
+  var i = state.lastIndexOf('\n') + 1;
+  machine.loadText(state.substr(0, i));
+  var rest = state.substr(i + 1);
+  var j = rest.indexOf('|');
+  machine.loadLockCode(j < 0 ? rest : rest.substr(0, j));
+  boardcheck = {}; // outdated, the caller redraws the board
+  if(j < 0) return;
+  var full = JSON.parse(rest.substr(j + 1));
+  MARBLEDEFAULT = parseMarbleCount(full.marbledefault);
+  machine.totalblue = parseMarbleCount(full.totalblue);
+  machine.totalred = parseMarbleCount(full.totalred);
+  registers = full.registers;
+  boardinfo = full.boardinfo;
+  breakpoints = full.breakpoints;
+  lastbreak = null;
+  reset();
+  updateBallCount();
+  updateRegisterOverlays();
+  updateWatchPanel();
+}
+
+// remembers the board before an edit, so that it can be undone. Call this before the board gets changed. opt_full: see getUndoState
+function saveUndo(opt_full) {
+  undosavedforstroke = true;
+  clearBoardCheck(); // the board is about to change, so the check results are outdated
+  var text = getUndoState(opt_full);
+  if(undostack.length > 0 && undostack[undostack.length - 1] == text) return; // nothing changed since last time
+  undostack.push(text);
+  if(undostack.length > MAXUNDO) undostack.shift();
+  redostack = [];
+  updateUndoButtons();
+}
+
+function updateUndoButtons() {
+  if(!undobutton) return;
+  undobutton.innerHTML = 'undo (' + undostack.length + ')';
+  redobutton.innerHTML = 'redo (' + redostack.length + ')';
+}
 
 placeButton('help', function() {
   makeHelp('Turing Tumble is a mechanical computer game created by Paul Boswell. This site is a JavaScript emulator of the game by Lode Vandevenne, originally released on 2017-06-05. <br><br>' +
-      ' It emulates all parts, except parabolic marble physics (it will show a warning sign on the marble if it is in free fall instead, as in real life it may bounce randomly). <br><br>' +
+      ' It emulates all parts. Parabolic marble physics are only emulated if the physics button is enabled, otherwise it will show a warning sign on the marble if it is in free fall instead, as in real life it may bounce randomly. With physics enabled, landings that could go either way on the real board are marked with an orange outline and the board is shown as non-deterministic. <br><br>' +
       ' If no marbles are running, use the buttons indicated "blue lever" or "red lever" below the board to release a marble of this color. <br><br>' +
       ' Numbers at the top show amount of blue and red marbles remaining, while at the bottom it will show marbles in the order they arrived from right to left as colored r and b. <br><br>' +
       ' To make your own board, use the erase button to clear the board, then draw tiles on the board by selecting one of the draw buttons then clicking or dragging on one or more valid board tiles to place the currently selected part on. Choose the "hand" tool after drawing to be able to toggle bits, ramps and gears between left and right state with the mouse. Use reset to initialize the marbles, then blue or red lever to send one on its way. See tooltips of each button for more information. <br><br>' +
+      ' On tablets and phones, tap a cell to use the selected tool on it, drag to draw across cells, long press to remove a part (long press an empty cell to put back what was just removed there) and tap with two fingers to undo. Pinch with two fingers, or use ctrl+mouse wheel, to zoom the board, and shift+drag or middle mouse drag to pan it. <br><br>' +
       ' To control time (speed or pause) or do step by step debugging, use the buttons on the right. The pause and speed buttons indicate with a red border if time is paused or which speed is selected. The status indicator below the right buttons shows if the marble is rolling or stopped for some reason (such as being in an interceptor, or cranking a lever required).<br><br>' +
+      ' Everything can also be done with the keyboard: the arrow keys move a cursor on the board, enter uses the selected tool there. Press ? for the list of all keyboard shortcuts.<br><br>' +
       ' Most buttons also have tooltips explaining everything in more detail.<br><br>' +
       ' Note that this application is ran locally in your browser only, nothing is sent to or stored in any server or the cloud. <br><br>' +
       ' For more information and the official game rules, see <a target="_blank" href="https://www.kickstarter.com/projects/871405126/turing-tumble-gaming-on-a-mechanical-computer/description">Turing Tumble\'s Kickstarter Page</a>. The demo1, demo2 and addition demos also come from the material on this page.',
@@ -1055,24 +1208,32 @@ placeButton('url', function() {
   var url = '' + window.location;
   var q = url.indexOf('?');
   if (q >= 0) url = url.substr(0, q);
-  url += '?board=' + toUrl();
+  url += '?board=' + machine.toUrlCode();
   if(W != 11) url += '&w=' + W;
   if(H != 11) url += '&h=' + H;
   makeHelp('<a href="' + url + '">Share URL</a>: ' + url + '<br>', 1000, 16);
 }).title = 'Share your board: shows a link with a code in the URL that you can share with others.';
 
+placeButton('export', function() {
+  showExport();
+}).title = 'download the board as PNG or SVG image, or the trace recorded with the record button as JSON or CSV';
+
 placeButtonSpacer();
 
 placeButton('stop', function() {
+  recordTimeline('edit');
   removeBall();
-}).title = 'Removes the currently rolling marble from the board  (to your own pocket, not to the bottom or top of the board).';
+  recordTimeline('stop');
+}).title = 'Removes the currently rolling marbles from the board  (to your own pocket, not to the bottom or top of the board).';
 
 function reset() {
-  numblue = totalblue;
-  numred = totalred;
+  recordTimeline('edit');
+  var ambiguous = machine.ambiguous;
+  machine.reset();
+  updateCells(ambiguous);
   removeBall();
-  bottommarbles = [];
   updateBottomDiv();
+  recordTimeline('reset');
 }
 
 placeButton('reset', function() {
@@ -1088,7 +1249,7 @@ placeButton('restart', function() {
 var timebuttons = [];
 
 function cannotContinue() {
-  return (color == RED && numred == 0 && bally < -1) || (color == BLUE && numblue == 0 && bally < -1) || (board[bally] && board[bally][ballx] == '_');
+  return machine.cannotContinue();
 }
 
 function continueFromPause(opt_withinitialtimeout) {
@@ -1104,7 +1265,7 @@ function continueFromPause(opt_withinitialtimeout) {
   updateTimeButtonBorders();
 }
 
-timebuttons[0] = placeButton('pause', function() {
+function togglePause() {
   if(!paused) {
     paused = true
     window.clearTimeout(timeoutid);
@@ -1115,6 +1276,10 @@ timebuttons[0] = placeButton('pause', function() {
     move();
     updateTimeButtonBorders();
   }
+}
+
+timebuttons[0] = placeButton('pause', function() {
+  togglePause();
 }, false, true);
 timebuttons[0].title = 'pause rolling the marble. press again to continue.';
 
@@ -1161,16 +1326,20 @@ function updateTimeButtonBorders() {
 
 placeButtonSpacer(true);
 
-placeButton('backstep', function() {
+function singleBackstep() {
   paused = true;
   updateTimeButtonBorders();
   window.clearTimeout(timeoutid);
   backwards();
   window.clearTimeout(timeoutid);
   timeoutid = undefined;
-}, false, true).title = 'step backwards in time. Opposite direction of the step button. Only goes as far back in time as it can remember, which is usually since last time you cranked a lever.';
+}
 
-placeButton('step', function() {
+placeButton('backstep', function() {
+  singleBackstep();
+}, false, true).title = 'step backwards in time. Opposite direction of the step button. Goes back through the whole session, also to before lever cranks, stops and edits, see the timeline below the status.';
+
+function singleStep() {
   if(cannotContinue()) return;
   paused = true;
   updateTimeButtonBorders();
@@ -1178,43 +1347,142 @@ placeButton('step', function() {
   move();
   window.clearTimeout(timeoutid);
   timeoutid = undefined;
-}, false, true).title = 'work with single steps instead of timer. Will pause time and this button moves time forward instead. If nothing happens, maybe you need to crank a lever to release a ball.';
-
-var statusbox = makeDiv(5 + mainleft + S * (W + 2), rbuttony + 12, 120, 32);
-statusbox.style.border = '1px solid #0d0';
-statusbox.style.textAlign = 'center';
-statusbox.style.textAlign = 'center';
-statusbox.style.lineHeight = '32px';
-statusbox.title = 'shows the status of the marble: whether it is rolling, or the reason why it isn\'t if not. Even if time is paused, this shows "rolling" if the physical state is such that the ball would be rolling.';
-
-
-function updateStatusBox() {
-  if(status == STATUS_CRANK) statusbox.innerHTML = 'crank&nbsp;a&nbsp;lever';
-  else if(status == STATUS_ROLLING) statusbox.innerHTML = 'tumbling';
-  else if(status == STATUS_INTERCEPTED) statusbox.innerHTML = 'intercepted';
-  else if(status == STATUS_NOBLUE) statusbox.innerHTML = 'blue&nbsp;empty';
-  else if(status == STATUS_NORED) statusbox.innerHTML = 'red&nbsp;empty';
-  else statusbox.innerHTML = 'unknown status';
 }
 
-updateStatusBox();
+placeButton('step', function() {
+  singleStep();
+}, false, true).title = 'work with single steps instead of timer. Will pause time and this button moves time forward instead. If nothing happens, maybe you need to crank a lever to release a ball.';
 
-function crankLever(leverColor) {
-  if(leverColor == BLUE && numblue <= 0) return;
-  if(leverColor == RED && numred <= 0) return;
-  velhistory = []; // backstepping not supported when we remove ball from board, as it only supports going 1 step up in y direction at the time
-  undoboard = clone(board); prevtool_forundo = '?';
-  if(numred == totalred && numblue == totalblue) undoboard2 = clone(board);
-  window.clearTimeout(timeoutid);
-  if(leverColor == BLUE) {
-    ballx = D-1;
-    velx = 1;
-  } else {
-    ballx = W-D-1+1;
-    velx = -1;
+var TURBOMAXSTEPS = 100000; // the turbo button gives up after this many steps, in case the marbles never stop
+
+/*
+Runs the machine synchronously until the marbles stop (intercepted, or out of
+blue or red marbles) or TURBOMAXSTEPS is reached, without drawing the steps in
+between and without breakpoints. Then renders the final board and shows a
+summary.
+*/
+function runToCompletion() {
+  if(cannotContinue()) {
+    makeHelp('No marbles are rolling. Crank a lever first.', 400, 32);
+    return;
+  }
+  paused = true;
+  window.clearTimeout(timeoutid);
+  timeoutid = undefined;
+  recordTimeline('edit');
+  var outputs = [];
+  var steps = 0;
+  var stopped = false;
+  while(steps < TURBOMAXSTEPS) {
+    steps++;
+    var result = machine.step();
+    for(var i = 0; i < result.outputs.length; i++) outputs.push(result.outputs[i]);
+    if(result.stopped) {
+      stopped = true;
+      break;
+    }
+  }
+  recordTimeline('run to completion');
+  lastbreak = null;
+  updateAll();
+  updateBottomDiv();
+  updateStatusBox();
+  updateTimeButtonBorders();
+  updateWatchPanel();
+  showRunSummary(steps, stopped, outputs);
+}
+
+function showRunSummary(steps, stopped, outputs) {
+  var text = '<b>Run to completion</b><br>';
+  if(stopped) text += 'Stopped after ' + steps + ' steps, status: ' + statusbox.innerHTML + '.<br>';
+  else text += 'Did not stop within ' + TURBOMAXSTEPS + ' steps, probably the marbles loop forever. Paused there.<br>';
+  if(machine.status == STATUS_LOOPING) text += describeCycle(machine.cycle) + ', so it would run forever.<br>';
+  text += 'Output: ' + (outputs.length ? marblesToString(outputs) : 'nothing') + ' (' + outputs.length + ' marbles; b = blue, r = red, first arrived first)<br>';
+  var bits = [];
+  for(var y = 0; y < H; y++) {
+    for(var x = 0; x < W; x++) {
+      var c = machine.board[y][x];
+      var t = partType(c);
+      if(t == 'bit' || t == 'gearbit') bits.push(x + ',' + y + ':' + ((c == ')' || c == '}') ? '1' : '0'));
+    }
   }
-  bally = -1-1;
-  color = leverColor;
+  text += 'Final bits (x,y:state, 1 = pointing right): ' + (bits.length ? bits.join(' ') : 'none') + '<br>';
+  if(boardinfo.expected) {
+    var bottom = marblesToString(machine.bottommarbles);
+    text += 'Expected at the bottom: ' + boardinfo.expected + ', ' + (bottom == boardinfo.expected ? 'matches' : '<b>differs</b> from ' + (bottom || 'nothing')) + '<br>';
+  }
+  makeHelp(text, 600, 150);
+  helpdiv.style.overflow = 'auto';
+  for(var i = 0; i < registers.length; i++) makeElement('div', helpdiv).textContent = formatRegister(registers[i]);
+}
+
+placeButton('turbo', function() {
+  runToCompletion();
+}, false, true).title = 'run to completion: instantly computes all steps until the marbles stop, then shows the final board with the step count, output and final state of the bits. Breakpoints are ignored. Gives up after ' + TURBOMAXSTEPS + ' steps.';
+
+placeButtonSpacer(true);
+
+var physicsbutton = placeButton('physics', function() {
+  machine.physics = !machine.physics;
+  physicsbutton.style.border = machine.physics ? '2px solid red' : '';
+}, false, true);
+physicsbutton.title = 'toggle emulation of parabolic marble physics. When enabled (red border), a marble leaving a part with momentum keeps moving sideways over empty pins and lands on the part where it comes down, instead of falling straight down. If a landing could go either way on the real board, the cell gets an orange outline and the board is marked as non-deterministic.';
+
+var tracebutton = placeButton('record', function() {
+  if(machine.tracing) machine.stopTrace();
+  else machine.startTrace();
+  tracebutton.style.border = machine.tracing ? '2px solid red' : '';
+}, false, true);
+tracebutton.title = 'record a trace: while enabled (red border), every step is logged with the position, color and part of each marble, all flipped bits and gears, status changes and output marbles. Export the trace as JSON or CSV with the export button. Enabling starts a new trace.';
+
+placeButton('debug', function() {
+  showDebug();
+}, false, true).title = 'breakpoints that pause time when a marble reaches a cell, a bit or gear flips, a marble arrives at the bottom or after a number of steps';
+
+placeButton('registers', function() {
+  showRegisters();
+}, false, true).title = 'name groups of bits as registers, to see their value as number on the board and set it by typing a value';
+
+placeButton('truth table', function() {
+  showTruthTable();
+}, false, true).title = 'make the truth table of the board: runs it for every combination of chosen input bits and shows the final state of output bits or the marbles at the bottom, optionally compared with an expected table';
+
+var statusbox = makeDiv(5, rbuttony + 12, 120, 32, rightpanel);
+statusbox.style.border = '1px solid #0d0';
+statusbox.style.textAlign = 'center';
+statusbox.style.textAlign = 'center';
+statusbox.style.lineHeight = '32px';
+statusbox.title = 'shows the status of the marble: whether it is rolling, or the reason why it isn\'t if not. Even if time is paused, this shows "rolling" if the physical state is such that the ball would be rolling.';
+
+var nondetbox = makeDiv(5, rbuttony + 12 + 40, 120, 32, rightpanel);
+nondetbox.style.border = '1px solid orange';
+nondetbox.style.textAlign = 'center';
+nondetbox.style.lineHeight = '32px';
+nondetbox.innerHTML = 'non-deterministic';
+nondetbox.title = 'with physics enabled, a marble landed in a way that could go either way on the real board (cells marked with orange outline), so the real board may behave differently than shown here. Reset to clear.';
+
+function updateStatusBox() {
+  var status = machine.status;
+  if(status == STATUS_CRANK) statusbox.innerHTML = 'crank&nbsp;a&nbsp;lever';
+  else if(status == STATUS_ROLLING) statusbox.innerHTML = 'tumbling';
+  else if(status == STATUS_INTERCEPTED) statusbox.innerHTML = 'intercepted';
+  else if(status == STATUS_NOBLUE) statusbox.innerHTML = 'blue&nbsp;empty';
+  else if(status == STATUS_NORED) statusbox.innerHTML = 'red&nbsp;empty';
+  else if(status == STATUS_LOOPING) statusbox.innerHTML = 'looping';
+  else statusbox.innerHTML = 'unknown status';
+  nondetbox.style.visibility = machine.nondeterministic ? 'visible' : 'hidden';
+}
+
+updateStatusBox();
+
+function crankLever(leverColor) {
+  if(leverColor == BLUE && machine.numblue <= 0) return;
+  if(leverColor == RED && machine.numred <= 0) return;
+  if(machine.numred == machine.totalred && machine.numblue == machine.totalblue) undoboard2 = clone(machine.board);
+  window.clearTimeout(timeoutid);
+  recordTimeline('edit');
+  machine.crank(leverColor);
+  recordTimeline((leverColor == BLUE) ? 'blue lever' : 'red lever');
   updateBallTexture();
   updateBallPos();
   updateBallCount();
@@ -1223,13 +1491,17 @@ function crankLever(leverColor) {
 }
 
 
-makeButton(mainleft, maintop + H * S, 'blue&nbsp;lever', function() {
-  if(numblue <= 0) {
-    makeHelp('Blue marbles empty. Add extras with the "+" at the top or use reset', 400, 32);
+function pullLever(color) {
+  if((color == BLUE ? machine.numblue : machine.numred) <= 0) {
+    makeHelp((color == BLUE ? 'Blue' : 'Red') + ' marbles empty. Add extras with the "+" at the top or use reset', 400, 32);
     return;
   }
-  crankLever(BLUE);
-}).title = 'Crank the blue lever, releases a new blue marble at the top (NOTE: multiple marbles at same time not supported so currently active marble will be removed)';
+  crankLever(color);
+}
+
+makeButton(mainleft, maintop + H * S, 'blue&nbsp;lever', function() {
+  pullLever(BLUE);
+}).title = 'Crank the blue lever, releases a new blue marble at the top (if marbles are already rolling, this one rolls at the same time)';
 
 /*var asdf = makeDiv(mainleft, maintop + (H + 1) * S, 80, 20);
 asdf.innerHTML = 'highlight';
@@ -1247,67 +1519,67 @@ function addCounters() {
   var p = 0;
   var div;
 
-  div = makeSizedElement('div', mainleft, maintop + (H + p + 2) * S, 32, 32);
+  div = makeSizedElement('div', mainleft, maintop + (H + 2) * S + p * 32, 32, 32);
   var tilex = texturemap['/'] % 8;
   var tiley = Math.floor(texturemap['/'] / 8);
   div.className = 'tiles';
   div.style.backgroundPosition = '' + (-32 * tilex - 2) + 'px ' + (-32 * tiley - 2) + 'px';
   div.onclick = function(){selectTool('/');}; // due to easy confusion of these with the buttons, why not just let them act as such
-  counter_ramp_el = makeSizedElement('div', mainleft + 32, maintop + (H + p + 2) * S + 6, 80, 32);
+  counter_ramp_el = makeSizedElement('div', mainleft + 32, maintop + (H + 2) * S + p * 32 + 6, 80, 32);
   div.title = 'amount of ramps used. Official max amount: 30';
   p++;
 
-  div = makeSizedElement('div', mainleft, maintop + (H + p + 2) * S, 32, 32);
+  div = makeSizedElement('div', mainleft, maintop + (H + 2) * S + p * 32, 32, 32);
   var tilex = texturemap['x'] % 8;
   var tiley = Math.floor(texturemap['x'] / 8);
   div.className = 'tiles';
   div.style.backgroundPosition = '' + (-32 * tilex - 2) + 'px ' + (-32 * tiley - 2) + 'px';
   div.onclick = function(){selectTool('x');}; // due to easy confusion of these with the buttons, why not just let them act as such
-  counter_cross_el = makeSizedElement('div', mainleft + 32, maintop + (H + p + 2) * S + 6, 80, 32);
+  counter_cross_el = makeSizedElement('div', mainleft + 32, maintop + (H + 2) * S + p * 32 + 6, 80, 32);
   div.title = 'amount of crossovers used. Official max amount: 6';
   p++;
 
-  div = makeSizedElement('div', mainleft, maintop + (H + p + 2) * S, 32, 32);
+  div = makeSizedElement('div', mainleft, maintop + (H + 2) * S + p * 32, 32, 32);
   var tilex = texturemap['_'] % 8;
   var tiley = Math.floor(texturemap['_'] / 8);
   div.className = 'tiles';
   div.style.backgroundPosition = '' + (-32 * tilex - 2) + 'px ' + (-32 * tiley - 2) + 'px';
   div.onclick = function(){selectTool('_');}; // due to easy confusion of these with the buttons, why not just let them act as such
-  counter_intercept_el = makeSizedElement('div', mainleft + 32, maintop + (H + p + 2) * S + 6, 80, 32);
+  counter_intercept_el = makeSizedElement('div', mainleft + 32, maintop + (H + 2) * S + p * 32 + 6, 80, 32);
   div.title = 'amount of interceptors used. Official max amount: 3';
   p++;
 
-  div = makeSizedElement('div', mainleft, maintop + (H + p + 2) * S, 32, 32);
+  div = makeSizedElement('div', mainleft, maintop + (H + 2) * S + p * 32, 32, 32);
   var tilex = texturemap['('] % 8;
   var tiley = Math.floor(texturemap['('] / 8);
   div.className = 'tiles';
   div.style.backgroundPosition = '' + (-32 * tilex - 2) + 'px ' + (-32 * tiley - 2) + 'px';
   div.onclick = function(){selectTool('(');}; // due to easy confusion of these with the buttons, why not just let them act as such
-  counter_bit_el = makeSizedElement('div', mainleft + 32, maintop + (H + p + 2) * S + 6, 80, 32);
+  counter_bit_el = makeSizedElement('div', mainleft + 32, maintop + (H + 2) * S + p * 32 + 6, 80, 32);
   div.title = 'amount of bits used. Official max amount: 10';
   p++;
 
-  div = makeSizedElement('div', mainleft, maintop + (H + p + 2) * S, 32, 32);
+  div = makeSizedElement('div', mainleft, maintop + (H + 2) * S + p * 32, 32, 32);
   var tilex = texturemap['{'] % 8;
   var tiley = Math.floor(texturemap['{'] / 8);
   div.className = 'tiles';
   div.style.backgroundPosition = '' + (-32 * tilex - 2) + 'px ' + (-32 * tiley - 2) + 'px';
   div.onclick = function(){selectTool('{');}; // due to easy confusion of these with the buttons, why not just let them act as such
-  counter_gearbit_el = makeSizedElement('div', mainleft + 32, maintop + (H + p + 2) * S + 6, 80, 32);
+  counter_gearbit_el = makeSizedElement('div', mainleft + 32, maintop + (H + 2) * S + p * 32 + 6, 80, 32);
   div.title = 'amount of gearbits used. Official max amount: 8';
   p++;
 
-  div = makeSizedElement('div', mainleft, maintop + (H + p + 2) * S, 32, 32);
+  div = makeSizedElement('div', mainleft, maintop + (H + 2) * S + p * 32, 32, 32);
   var tilex = texturemap['*'] % 8;
   var tiley = Math.floor(texturemap['*'] / 8);
   div.className = 'tiles';
   div.style.backgroundPosition = '' + (-32 * tilex - 2) + 'px ' + (-32 * tiley - 2) + 'px';
   div.onclick = function(){selectTool('*');}; // due to easy confusion of these with the buttons, why not just let them act as such
-  counter_gear_el = makeSizedElement('div', mainleft + 32, maintop + (H + p + 2) * S + 6, 80, 32);
+  counter_gear_el = makeSizedElement('div', mainleft + 32, maintop + (H + 2) * S + p * 32 + 6, 80, 32);
   div.title = 'amount of gears used. Official max amount: 4';
   p++;
 
-  counter_total_el = makeSizedElement('div', mainleft, maintop + (H + p + 2) * S + 6, 80, 32);
+  counter_total_el = makeSizedElement('div', mainleft, maintop + (H + 2) * S + p * 32 + 6, 80, 32);
   counter_total_el.innerHTML = 'total: /';
   counter_total_el.title = 'Total count of all parts used on the board';
   p++;
@@ -1332,12 +1604,12 @@ function updateCounters() {
   num_gear = 0;
   for(var y = 0; y < H; y++) {
     for(var x = 0; x < W; x++) {
-      if(board[y][x] == '/' || board[y][x] == '\\' || board[y][x] == '%') num_ramp++;
-      if(board[y][x] == 'x') num_cross++;
-      if(board[y][x] == '_') num_intercept++;
-      if(board[y][x] == '(' || board[y][x] == ')') num_bit++;
-      if(board[y][x] == '{' || board[y][x] == '}') num_gearbit++;
-      if(board[y][x] == '*' || board[y][x] == '+') num_gear++;
+      if(machine.board[y][x] == '/' || machine.board[y][x] == '\\' || machine.board[y][x] == '%') num_ramp++;
+      if(machine.board[y][x] == 'x') num_cross++;
+      if(machine.board[y][x] == '_') num_intercept++;
+      if(machine.board[y][x] == '(' || machine.board[y][x] == ')') num_bit++;
+      if(machine.board[y][x] == '{' || machine.board[y][x] == '}') num_gearbit++;
+      if(machine.board[y][x] == '*' || machine.board[y][x] == '+') num_gear++;
     }
   }
 
@@ -1351,6 +1623,7 @@ function updateCounters() {
   counter_gearbit_el.innerHTML = ': ' + num_gearbit;
   counter_gear_el.innerHTML = ': ' + num_gear;
   counter_total_el.innerHTML = 'total: ' + num_total;
+  updateToolCounts();
 }
 function updateCounter(t, num) {
   if(t == '/' || t == '\\' || t == '%') {
@@ -1385,6 +1658,7 @@ function updateCounter(t, num) {
   }
 
   counter_total_el.innerHTML = 'total: ' + num_total;
+  updateToolCounts();
 }
 
 function updateCounterFromTo(from, to) {
@@ -1392,19 +1666,139 @@ function updateCounterFromTo(from, to) {
   updateCounter(to, 1);
 }
 
-makeButton(mainleft + W * S - 80, maintop + H * S, 'red&nbsp;lever', function() {
-  if(numred <= 0) {
-    makeHelp('Red marbles empty. Add extras with the "+" at the top or use reset', 400, 32);
-    return;
+////////////////////////////////////////////////////////////////////////////////
+
+// Parts inventory: an optional limit on the amount of parts of each type (see partType in machine.js) on the board.
+
+var PARTTYPES = ['ramp', 'crossover', 'interceptor', 'bit', 'gearbit', 'gear'];
+var BOXINVENTORY = {ramp: 30, crossover: 6, interceptor: 3, bit: 10, gearbit: 8, gear: 4}; // contents of one Turing Tumble box
+var INVENTORY_KEY = 'jstumble_inventory';
+
+var userinventory = null; // the inventory chosen with the inventory button, or null for unlimited
+var inventory = null; // the inventory in effect: userinventory, or the one of the active challenge
+
+function loadUserInventory() {
+  var text = getLocalStorage(INVENTORY_KEY);
+  if(!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch(e) {
+    return null;
+  }
+}
+
+function setUserInventory(inv) {
+  userinventory = inv;
+  if(inv) setLocalStorage(JSON.stringify(inv), INVENTORY_KEY);
+  else clearLocalStorage(INVENTORY_KEY);
+  if(!challenge) inventory = inv;
+  updateToolCounts();
+}
+
+function partsOnBoard(t) {
+  var result = 0;
+  for(var y = 0; y < H; y++) {
+    for(var x = 0; x < W; x++) {
+      if(partType(machine.board[y][x]) == t) result++;
+    }
+  }
+  return result;
+}
+
+// how many more parts of the given type can be placed on the board, Infinity if there is no limit
+function partsRemaining(t) {
+  if(!inventory) return Infinity;
+  return (inventory[t] || 0) - partsOnBoard(t);
+}
+
+// whether the inventory allows replacing the symbol 'from' by the symbol 'to' on the board
+function inventoryAllows(from, to) {
+  var t = partType(to);
+  if(!t || t == partType(from)) return true;
+  return partsRemaining(t) > 0;
+}
+
+// whether changing the cell at x, y from symbol 'from' to symbol 'to' is allowed by the locks and the inventory
+function editAllowed(x, y, from, to) {
+  if(machine.isLocked(x, y)) return false;
+  return inventoryAllows(from, to);
+}
+
+// shows why editAllowed refused an edit
+function showEditRefusal(x, y, to) {
+  if(machine.isLocked(x, y)) {
+    makeHelp('This cell is locked, it cannot be changed. Use the lock tool to unlock it.', 400, 32);
+  } else {
+    var t = partType(to);
+    makeHelp('No ' + t + ' left in the ' + (challenge ? 'inventory of this challenge' : 'inventory, change it with the inventory button') + ' (' + (inventory[t] || 0) + ' available). Remove one from the board first.', 400, 50);
+  }
+}
+
+var toolcountdivs = []; // per tool button, the label showing how many of that part are left, or undefined for tools that are not a part
+
+function updateToolCounts() {
+  for(var j = 0; j < toolcountdivs.length; j++) {
+    var div = toolcountdivs[j];
+    if(!div) continue;
+    if(!inventory) {
+      div.style.visibility = 'hidden';
+      continue;
+    }
+    var remaining = partsRemaining(partType(toolbuttondata[j * 2]));
+    div.style.visibility = 'visible';
+    div.innerHTML = remaining;
+    div.style.color = (remaining > 0) ? 'black' : 'red';
   }
-  crankLever(RED);
-}).title = 'Crank the red lever, releases a new red marble at the top (NOTE: multiple marbles at same time not supported so currently active marble will be removed)';
+}
+
+function showInventory() {
+  makeHelp('<b>Parts inventory</b><br>Limits how many parts of each type can be on the board, for example to match the parts of a physical box. The tool buttons show how many are left.' +
+           (challenge ? ' The active challenge has its own inventory, this one applies again when leaving the challenge.' : '') + '<br><br>', 500, 280);
+  var fields = {};
+  var current = userinventory || BOXINVENTORY;
+  for(var i = 0; i < PARTTYPES.length; i++) {
+    var t = PARTTYPES[i];
+    var row = makeElement('div', helpdiv);
+    var label = makeElement('span', row);
+    label.style.display = 'inline-block';
+    label.style.width = '100px';
+    label.innerHTML = t + ':';
+    fields[t] = makeElement('input', row);
+    fields[t].type = 'number';
+    fields[t].min = 0;
+    fields[t].style.width = '60px';
+    fields[t].value = current[t] || 0;
+  }
+  var buttons = makeElement('div', helpdiv);
+  buttons.style.marginTop = '8px';
+  makeDialogButton(buttons, 'apply', 'limit the parts to the amounts above', function() {
+    var inv = {};
+    for(var i = 0; i < PARTTYPES.length; i++) inv[PARTTYPES[i]] = Math.max(0, parseInt(fields[PARTTYPES[i]].value, 10) || 0);
+    setUserInventory(inv);
+    showInventory();
+  });
+  makeDialogButton(buttons, 'one box', 'fill in the contents of one Turing Tumble box', function() {
+    for(var i = 0; i < PARTTYPES.length; i++) fields[PARTTYPES[i]].value = BOXINVENTORY[PARTTYPES[i]];
+  });
+  makeDialogButton(buttons, 'unlimited', 'remove the limits', function() {
+    setUserInventory(null);
+    showInventory();
+  });
+  makeElement('div', helpdiv).innerHTML = '<br>Currently: ' + (userinventory ? 'limited' : 'unlimited') + '.';
+}
+
+userinventory = loadUserInventory();
+inventory = userinventory;
+
+makeButton(mainleft + W * S - 80, maintop + H * S, 'red&nbsp;lever', function() {
+  pullLever(RED);
+}).title = 'Crank the red lever, releases a new red marble at the top (if marbles are already rolling, this one rolls at the same time)';
 
 var toolbuttondata = [
   'h', 'the hand tool allows to toggle parts between left and right state and activates gears (can also be selected with shortcut key "h").',
   'v', 'draw empty cell',
-  'o', 'Manually add or move a blue marble rolling on the board (if there is already a marble on the board, moves it to where you click and changes it to blue. If there was no marble on the board, then this adds a spare marble, not one from the top count). Clicking a rolling marble itself removes it instead (to your own pocket, not to the bottom or top of the board).',
-  'O', 'Manually add or move a red marble rolling on the board (if there is already a marble on the board, moves it to where you click and changes it to red. If there was no marble on the board, then this adds a spare marble, not one from the top count). Clicking a rolling marble itself removes it instead (to your own pocket, not to the bottom or top of the board).',
+  'o', 'Manually add a blue marble rolling on the board where you click (this adds a spare marble, not one from the top count, in addition to any marbles already rolling). Clicking a rolling marble itself removes it instead (to your own pocket, not to the bottom or top of the board).',
+  'O', 'Manually add a red marble rolling on the board where you click (this adds a spare marble, not one from the top count, in addition to any marbles already rolling). Clicking a rolling marble itself removes it instead (to your own pocket, not to the bottom or top of the board).',
   '/', 'draw left ramp (can mirror this tool with shortcut key "f")',
   '\\', 'draw right ramp (can mirror this tool with shortcut key "f")',
   'x', 'draw crossover',
@@ -1423,6 +1817,13 @@ function selectTool(t) {
   var i = toolindexmap[t];
   tool = t;
   for(var j = 0; j < toolbuttons.length; j++) toolbuttons[j].style.border = ((i == j) ? '2px solid red' : '2px solid #888');
+  if(lockbutton) lockbutton.style.border = (t == 'lock') ? '2px solid red' : '';
+  if(breakbutton) breakbutton.style.border = (t == 'break') ? '2px solid red' : '';
+  if(registerbutton) registerbutton.style.border = (t == 'register') ? '2px solid red' : '';
+  if(selectbutton) selectbutton.style.border = (t == 'select') ? '2px solid red' : '';
+  if(t != 'select' && selection) removeSelection();
+  if(componentsbutton) componentsbutton.style.border = (t == 'stamp') ? '2px solid red' : '';
+  if(t != 'stamp' && stampdiv) stampdiv.style.visibility = 'hidden';
 }
 
 for(var i = 0; i < toolbuttondata.length; i += 2) {
@@ -1433,31 +1834,505 @@ for(var i = 0; i < toolbuttondata.length; i += 2) {
   b.title = toolbuttondata[i + 1];
   toolbuttons.push(b);
   toolindexmap[toolbuttondata[i]] = (i >> 1);
+  if(partType(toolbuttondata[i])) {
+    var count = makeSizedElement('div', 14, 16, 16, 12, b);
+    count.style.fontSize = '10px';
+    count.style.lineHeight = '12px';
+    count.style.backgroundColor = 'white';
+    count.title = 'amount of this part left in the inventory';
+    toolcountdivs[j] = count;
+  }
 }
+updateToolCounts();
 
 
 placeButton('erase', function() {
   did_any_editing = true;
-  undoboard = clone(board); prevtool_forundo = '?';
+  saveUndo();
   for(var y = 0; y < H; y++) {
     for(var x = 0; x < W; x++) {
-      board[y][x] = getEmpty(x, y);
+      if(machine.isLocked(x, y)) continue;
+      machine.board[y][x] = getEmpty(x, y);
       updateCell(x, y);
     }
   }
   reset();
   resetURL();
   updateCounters();
-}).title = 'erases the entire board';
+}).title = 'erases the entire board, except for locked cells';
+
+var lockbutton = placeButton('lock', function() {
+  selectTool('lock');
+});
+lockbutton.title = 'lock tool: click cells to lock or unlock them. Locked cells (shown with a dark border) cannot be edited, erased or toggled with the hand tool, only marbles still flip them. The locks are included in the URL and saved boards, so you can hand out partially built boards.';
+
+var breakbutton = placeButton('break', function() {
+  selectTool('break');
+});
+breakbutton.title = 'break tool: click a cell to toggle a breakpoint on it, which pauses time when a marble arrives there, or for bits and gears when they flip. More kinds of breakpoints are in the debug dialog.';
+
+var registerbutton = placeButton('register', function() {
+  selectTool('register');
+});
+registerbutton.title = 'register tool: click bits and gear bits in order (least significant first) to select them, then create a register from them with the registers button to see their value as a number.';
+
+////////////////////////////////////////////////////////////////////////////////
+
+// Rectangular selection, with the select tool. Dragging selects a rectangle, dragging inside the selection moves its
+// parts. The bar below the selection copies, cuts, pastes (with the top left corner of the copied part at the top left
+// of the selection), mirrors or clears it. The copied part is a region as in Machine.getRegion.
+
+var selection = null; // {x, y, w, h}
+var selectionanchor = null; // [x, y] of the cell where selecting started, while selecting
+var selectionmove = null; // {x, y, dx, dy} while dragging the selection to move it, x, y is where the drag started
+var clipboard = null;
+var selectiondiv = null;
+var selectionbar = null;
+
+function inSelection(x, y) {
+  return !!selection && x >= selection.x && y >= selection.y && x < selection.x + selection.w && y < selection.y + selection.h;
+}
+
+// called by activateTool, when the mouse goes down on a cell
+function startSelection(x, y) {
+  if(inSelection(x, y) && (selection.w > 1 || selection.h > 1)) {
+    selectionmove = {x: x, y: y, dx: 0, dy: 0};
+  } else {
+    selectionanchor = [x, y];
+    selection = {x: x, y: y, w: 1, h: 1};
+  }
+  updateSelectionDiv();
+}
+
+// called by paintCellAt, when dragging over a cell
+function extendSelection(x, y) {
+  if(selectionanchor) {
+    selection = {x: Math.min(x, selectionanchor[0]), y: Math.min(y, selectionanchor[1]), w: Math.abs(x - selectionanchor[0]) + 1, h: Math.abs(y - selectionanchor[1]) + 1};
+  } else if(selectionmove) {
+    selectionmove.dx = Math.max(-selection.x, Math.min(W - selection.x - selection.w, x - selectionmove.x));
+    selectionmove.dy = Math.max(-selection.y, Math.min(H - selection.y - selection.h, y - selectionmove.y));
+  }
+  updateSelectionDiv();
+}
+
+// called when the mouse button or finger is released: finishes selecting, or moves the parts
+function endSelectionMove() {
+  if(!selectionanchor && !selectionmove) return;
+  selectionanchor = null;
+  var move = selectionmove;
+  selectionmove = null;
+  if(move) {
+    if(move.dx == 0 && move.dy == 0) selection = {x: move.x, y: move.y, w: 1, h: 1}; // a click without dragging selects a single cell
+    else moveSelection(move.dx, move.dy);
+  }
+  updateSelectionDiv();
+}
+
+function removeSelection() {
+  selection = null;
+  selectionanchor = null;
+  selectionmove = null;
+  updateSelectionDiv();
+}
+
+function updateSelectionDiv() {
+  if(!selectiondiv) {
+    selectiondiv = makeDiv(0, 0, 0, 0, boardview);
+    selectiondiv.style.outline = '2px dashed #00f';
+    selectiondiv.style.backgroundColor = 'rgba(0, 0, 255, 0.1)';
+    selectiondiv.style.pointerEvents = 'none';
+    selectionbar = makeDiv(0, 0, 0, 0);
+    selectionbar.style.width = 'auto';
+    selectionbar.style.height = 'auto';
+    selectionbar.style.whiteSpace = 'nowrap';
+    makeDialogButton(selectionbar, 'copy', 'copy the selected parts (ctrl+c)', copySelection);
+    makeDialogButton(selectionbar, 'cut', 'copy the selected parts and remove them from the board (ctrl+x)', cutSelection);
+    makeDialogButton(selectionbar, 'paste', 'paste the copied parts, with their top left corner at the top left of the selection (ctrl+v)', pasteClipboard);
+    makeDialogButton(selectionbar, 'mirror', 'mirror the selected parts horizontally, ramps, bits and gear bits then point to the other side (m)', mirrorSelection);
+    makeDialogButton(selectionbar, 'clear', 'remove the selected parts from the board (delete)', clearSelection);
+    makeDialogButton(selectionbar, 'component', 'save the selected parts as a named component, to stamp them elsewhere with the components button', saveSelectionAsComponent);
+  }
+  if(!selection) {
+    selectiondiv.style.visibility = 'hidden';
+    selectionbar.style.visibility = 'hidden';
+    return;
+  }
+  var x = selection.x + (selectionmove ? selectionmove.dx : 0);
+  var y = selection.y + (selectionmove ? selectionmove.dy : 0);
+  selectiondiv.style.left = '' + (mainleft + x * S) + 'px';
+  selectiondiv.style.top = '' + (maintop + y * S) + 'px';
+  selectiondiv.style.width = '' + (selection.w * S) + 'px';
+  selectiondiv.style.height = '' + (selection.h * S) + 'px';
+  selectiondiv.style.visibility = 'visible';
+  // the bar is outside of the board view so that it does not zoom along, it goes below the selection
+  selectionbar.style.left = '' + Math.floor(mainleft + panx + x * S * zoom) + 'px';
+  selectionbar.style.top = '' + Math.floor(maintop - S + pany + (y + selection.h + 1) * S * zoom + 4) + 'px';
+  selectionbar.style.visibility = (selectionanchor || selectionmove) ? 'hidden' : 'visible';
+}
+
+// whether the region fits with its top left corner at x, y, shows the reason if not, with opt_advice on how to make it fit
+function regionFits(region, x, y, opt_advice) {
+  var misfits = machine.regionMisfits(region, x, y);
+  if(misfits.length == 0) return true;
+  makeHelp('This does not fit there: ' + misfits.length + ' part' + (misfits.length == 1 ? '' : 's') + ' would land on a spot without pin, or on a gear-only pin (first at ' + misfits[0][0] + ',' + misfits[0][1] + '). ' +
+           (opt_advice || 'Parts other than gears only go on the full pins, which alternate with the gear-only pins: move by an even number of cells (horizontal plus vertical) to keep the parts on the same kind of pin.'), 400, 70);
+  return false;
+}
+
+// applies fun, which edits the board of the Machine given to it, to a copy of the board. Takes over the result unless
+// it changes locked cells or uses more parts than the inventory has. Returns whether it was applied.
+function applyBoardEdit(fun) {
+  var m = new Machine(W, H);
+  m.board = clone(machine.board);
+  fun(m);
+  // the new gear bits may touch gears that point to the other side. Done on the copy, so that the gear bits this turns
+  // are checked for locks like the other changes.
+  for(var y = 0; y < H; y++) {
+    for(var x = 0; x < W; x++) {
+      var c = m.board[y][x];
+      if(c != machine.board[y][x] && (c == '{' || c == '}')) m.fixGearGroup(x, y);
+    }
+  }
+  var changed = [];
+  for(var y = 0; y < H; y++) {
+    for(var x = 0; x < W; x++) {
+      if(m.board[y][x] == machine.board[y][x]) continue;
+      if(machine.isLocked(x, y)) {
+        showEditRefusal(x, y, m.board[y][x]);
+        return false;
+      }
+      changed.push([x, y]);
+    }
+  }
+  if(inventory) {
+    for(var i = 0; i < PARTTYPES.length; i++) {
+      var t = PARTTYPES[i];
+      var count = 0;
+      for(var y = 0; y < H; y++) {
+        for(var x = 0; x < W; x++) if(partType(m.board[y][x]) == t) count++;
+      }
+      if(count > partsOnBoard(t) && count > (inventory[t] || 0)) {
+        makeHelp('Not enough of type ' + t + ' in the ' + (challenge ? 'inventory of this challenge' : 'inventory, change it with the inventory button') + ': this needs ' + count + ', ' + (inventory[t] || 0) + ' available.', 400, 50);
+        return false;
+      }
+    }
+  }
+  if(changed.length == 0) return true;
+  saveUndo();
+  for(var i = 0; i < changed.length; i++) machine.board[changed[i][1]][changed[i][0]] = m.board[changed[i][1]][changed[i][0]];
+  updateCells(changed);
+  updateCounters();
+  did_any_editing = true;
+  resetURL();
+  return true;
+}
+
+function copySelection() {
+  if(!selection) return;
+  clipboard = machine.getRegion(selection.x, selection.y, selection.w, selection.h);
+}
+
+function cutSelection() {
+  if(!selection) return;
+  var region = machine.getRegion(selection.x, selection.y, selection.w, selection.h);
+  if(clearSelection()) clipboard = region;
+}
+
+function pasteClipboard() {
+  if(!selection) return;
+  if(!clipboard) {
+    makeHelp('Nothing to paste, copy a selection first.', 400, 32);
+    return;
+  }
+  var x = selection.x, y = selection.y;
+  if(!regionFits(clipboard, x, y)) return;
+  var region = clipboard;
+  if(applyBoardEdit(function(m) { m.setRegion(region, x, y); })) {
+    selection = {x: x, y: y, w: Math.min(region.w, W - x), h: Math.min(region.h, H - y)};
+    updateSelectionDiv();
+  }
+}
+
+function mirrorSelection() {
+  if(!selection) return;
+  var sel = selection;
+  var region = mirrorRegion(machine.getRegion(sel.x, sel.y, sel.w, sel.h));
+  if(!regionFits(region, sel.x, sel.y, 'The parts stay on the same kind of pin when the selection is an odd number of cells wide.')) return;
+  applyBoardEdit(function(m) { m.setRegion(region, sel.x, sel.y); });
+}
+
+function clearSelection() {
+  if(!selection) return false;
+  var sel = selection;
+  return applyBoardEdit(function(m) { m.clearRegion(sel.x, sel.y, sel.w, sel.h); });
+}
+
+function moveSelection(dx, dy) {
+  var sel = selection;
+  var region = machine.getRegion(sel.x, sel.y, sel.w, sel.h);
+  if(!regionFits(region, sel.x + dx, sel.y + dy)) return;
+  if(applyBoardEdit(function(m) {
+    m.clearRegion(sel.x, sel.y, sel.w, sel.h);
+    m.setRegion(region, sel.x + dx, sel.y + dy);
+  })) {
+    selection = {x: sel.x + dx, y: sel.y + dy, w: sel.w, h: sel.h};
+  }
+}
+
+window.addEventListener('mouseup', endSelectionMove);
+boardviewport.addEventListener('touchend', endSelectionMove);
+boardviewport.addEventListener('touchcancel', endSelectionMove);
+
+var selectbutton = placeButton('select', function() {
+  selectTool('select');
+});
+selectbutton.title = 'select tool: drag over the board to select a rectangle, drag the selection to move its parts. Then copy, cut, paste, mirror or clear it with the buttons below it, e.g. to duplicate a working part of a circuit.';
+
+////////////////////////////////////////////////////////////////////////////////
+
+// Components: named parts of boards, to reuse sub-circuits such as adder stages or bit counter stages. Kept in local
+// storage as a JSON array of {name, text}, with text the rows of the part in the symbols of the board text (see
+// Machine.toText). The stamp tool places the chosen component with its top left corner at the clicked cell.
+
+var COMPONENTS_KEY = 'jstumble_components';
+
+var stampcomponent = null; // the component placed by the stamp tool
+var stampdiv = null; // outline showing where the stamp tool would place it
+
+function getComponents() {
+  var text = getLocalStorage(COMPONENTS_KEY);
+  if(!text) return [];
+  var components;
+  try {
+    components = JSON.parse(text);
+  } catch(e) {
+    return [];
+  }
+  return (components instanceof Array) ? components : [];
+}
+
+function setComponents(components) {
+  setLocalStorage(JSON.stringify(components), COMPONENTS_KEY);
+}
+
+function saveSelectionAsComponent() {
+  if(!selection) return;
+  var text = machine.regionToText(selection.x, selection.y, selection.w, selection.h);
+  var components = getComponents();
+  var name = window.prompt('Save the selected ' + selection.w + 'x' + selection.h + ' cells as component named:', uniqueSlotName(components, 'component ' + (components.length + 1)));
+  if(!name) return;
+  var i = findSlot(components, name);
+  if(i >= 0 && !window.confirm('Overwrite the component "' + name + '"?')) return;
+  if(i >= 0) components[i].text = text;
+  else components.push({name: name, text: text});
+  setComponents(components);
+}
+
+// called by activateTool
+function stampComponent(x, y) {
+  var region = stampcomponent && parseRegionText(stampcomponent.text);
+  if(!region || !regionFits(region, x, y)) return;
+  // the empty cells around the parts of a component are not part of it, they keep what the board has there
+  applyBoardEdit(function(m) { m.setRegion(region, x, y, true); });
+}
+
+// called when the mouse enters a cell with the stamp tool: outlines where the component would go, red if it does not fit there
+// or would replace parts that are on the board
+function updateStampPreview(x, y) {
+  if(!stampdiv) {
+    stampdiv = makeDiv(0, 0, 0, 0, boardview);
+    stampdiv.style.pointerEvents = 'none';
+  }
+  var region = (tool == 'stamp' && stampcomponent) ? parseRegionText(stampcomponent.text) : null;
+  if(!region) {
+    stampdiv.style.visibility = 'hidden';
+    return;
+  }
+  stampdiv.style.left = '' + (mainleft + x * S) + 'px';
+  stampdiv.style.top = '' + (maintop + y * S) + 'px';
+  stampdiv.style.width = '' + (region.w * S) + 'px';
+  stampdiv.style.height = '' + (region.h * S) + 'px';
+  var bad = machine.regionMisfits(region, x, y).length || machine.regionOverwrites(region, x, y).length;
+  stampdiv.style.outline = '2px dashed ' + (bad ? '#f00' : '#0a0');
+  stampdiv.style.visibility = 'visible';
+}
+
+function exportComponents() {
+  var blob = new Blob([JSON.stringify(getComponents(), null, 1)], {type: 'application/json'});
+  downloadBlob(blob, 'components.json');
+}
+
+// adds the components of a file made by exportComponents, renaming those with a name that is already used
+function importComponents(text) {
+  var imported;
+  try {
+    imported = JSON.parse(text);
+  } catch(e) {
+    imported = null;
+  }
+  if(!(imported instanceof Array)) {
+    makeHelp('Cannot import: this is not a components file.', 400, 32);
+    return;
+  }
+  var components = getComponents();
+  var count = 0;
+  for(var i = 0; i < imported.length; i++) {
+    var c = imported[i];
+    if(!c || typeof(c.name) != 'string' || typeof(c.text) != 'string' || !parseRegionText(c.text)) continue;
+    components.push({name: uniqueSlotName(components, c.name), text: c.text});
+    count++;
+  }
+  setComponents(components);
+  showComponents();
+  if(count < imported.length) window.alert('Skipped ' + (imported.length - count) + ' invalid components.');
+}
+
+// shows the component palette
+function showComponents() {
+  var components = getComponents();
+  makeHelp('<b>Components</b><br>Reusable parts of boards, stored in the local storage of this browser only. Select a part of the board with the select tool, then save it with the "component" button below the selection. Choose "stamp" here, then click on the board where the top left corner of the component goes. Stamping only adds the parts of the component, the parts already on the board around them stay. The outline turns red where the component does not fit or would replace parts.<br><br>', 600, 500);
+  helpdiv.style.overflow = 'auto';
+
+  var buttons = makeElement('div', helpdiv);
+  if(selection) makeDialogButton(buttons, 'save selection', 'save the selected part of the board as a component', function() {
+    saveSelectionAsComponent();
+    showComponents();
+  });
+  makeDialogButton(buttons, 'export', 'download all components as a file, to share them or use them in another browser', exportComponents);
+  var file = makeElement('input', buttons);
+  file.type = 'file';
+  file.accept = '.json,application/json';
+  file.title = 'import components from a file made with export, in addition to the current ones';
+  file.onchange = function() {
+    if(!file.files || !file.files[0]) return;
+    var reader = new FileReader();
+    reader.onload = function() {
+      importComponents(reader.result);
+    };
+    reader.readAsText(file.files[0]);
+  };
+
+  if(components.length == 0) {
+    makeElement('p', helpdiv).innerHTML = 'No components yet.';
+    return;
+  }
+
+  for(var i = 0; i < components.length; i++) {
+    var component = components[i];
+    var region = parseRegionText(component.text);
+    var row = makeElement('div', helpdiv);
+    row.style.borderTop = '1px solid #ccc';
+    row.style.padding = '4px 0';
+    row.style.clear = 'both';
+    row.style.overflow = 'hidden';
+
+    if(region) {
+      var canvas = makeElement('canvas', row);
+      canvas.style.cssFloat = 'left';
+      canvas.style.marginRight = '10px';
+      var size = Math.max(4, Math.min(16, Math.floor(80 / Math.max(region.w, region.h))));
+      canvas.width = region.w * size;
+      canvas.height = region.h * size;
+      var ctx = canvas.getContext('2d');
+      if(ctx) {
+        if(tilesimage.complete) drawBoard(ctx, region.cells, region.w, region.h, size);
+        else tilesimage.addEventListener('load', bind(drawBoard, ctx, region.cells, region.w, region.h, size));
+      }
+    }
+
+    var info = makeElement('div', row);
+    var b = makeElement('b', info);
+    b.appendChild(document.createTextNode(component.name));
+    makeElement('div', info).innerHTML = region ? (region.w + 'x' + region.h) : 'invalid';
+
+    var rowbuttons = makeElement('div', info);
+    if(region) makeDialogButton(rowbuttons, 'stamp', 'choose the stamp tool with this component, then click on the board to place it', bind(function(component) {
+      stampcomponent = component;
+      selectTool('stamp');
+      document.body.removeChild(helpdiv);
+      helpdiv = null;
+    }, component));
+    makeDialogButton(rowbuttons, 'rename', 'give this component another name', bind(function(component) {
+      var name = window.prompt('New name for "' + component.name + '":', component.name);
+      if(!name || name == component.name) return;
+      var components = getComponents();
+      if(findSlot(components, name) >= 0) {
+        window.alert('There is already a component named "' + name + '".');
+        return;
+      }
+      var i = findSlot(components, component.name);
+      if(i < 0) return;
+      components[i].name = name;
+      setComponents(components);
+      showComponents();
+    }, component));
+    makeDialogButton(rowbuttons, 'delete', 'remove this component', bind(function(component) {
+      if(!window.confirm('Delete the component "' + component.name + '"?')) return;
+      var components = getComponents();
+      var i = findSlot(components, component.name);
+      if(i < 0) return;
+      components.splice(i, 1);
+      setComponents(components);
+      showComponents();
+    }, component));
+  }
+}
+
+var componentsbutton = placeButton('components', function() {
+  showComponents();
+});
+componentsbutton.title = 'component palette: save selected parts of the board as named components, and stamp them onto the board. The border shows when the stamp tool is active.';
+
+placeButton('inventory', function() {
+  showInventory();
+}).title = 'set a limit to the amount of parts of each type, e.g. the contents of your Turing Tumble box. Placing parts beyond the limit is refused, the tool buttons show how many of each part are left.';
+
+// Board check: static warnings about the board, see machine.checkBoard. The cells with warnings are outlined until the board changes.
+
+var CHECKOUTLINES = {unreachable: '2px dashed #888', freefall: '2px solid red', crossover: '2px solid red', pin: '2px solid #c0c', gear: '2px solid #c0c'};
+var boardcheck = {}; // 'x,y' to the type of the warning shown at that cell, empty if not checked
+
+function checkOutline(x, y) {
+  var type = boardcheck[x + ',' + y];
+  return type ? CHECKOUTLINES[type] : '';
+}
+
+function clearBoardCheck() {
+  var cells = [];
+  for(var key in boardcheck) cells.push(key.split(',').map(Number));
+  boardcheck = {};
+  updateCells(cells);
+}
+
+function showBoardCheck() {
+  clearBoardCheck();
+  var warnings = machine.checkBoard().warnings;
+  var cells = [];
+  for(var i = 0; i < warnings.length; i++) {
+    var key = warnings[i].x + ',' + warnings[i].y;
+    if(!boardcheck[key]) cells.push([warnings[i].x, warnings[i].y]);
+    boardcheck[key] = warnings[i].type;
+  }
+  updateCells(cells);
+  var text = '<b>Check board</b><br>Follows every path a marble can take from both launch ramps, going both ways at every bit and gear bit, without physics. Some of these paths may not be possible in practice if bits are linked. The cells with warnings are outlined on the board until the board changes: red for a marble leaving the path, gray dashed for unreachable parts, purple for parts that do not fit.<br><br>';
+  if(warnings.length == 0) text += 'No problems found.';
+  for(var i = 0; i < warnings.length; i++) text += warnings[i].message + '<br>';
+  makeHelp(text, 600, 300);
+  helpdiv.style.overflow = 'auto';
+}
+
+placeButton('check board', function() {
+  showBoardCheck();
+}).title = 'check the board for problems without running it: parts that no marble can reach, places where a marble falls off the path, crossovers that a marble can enter straight from above, parts on the wrong pin type and gear groups with gear bits pointing different ways';
 
 /*placeButton('fill', function() {
   did_any_editing = true;
-  undoboard = clone(board); prevtool_forundo = '?';
+  saveUndo();
   for(var y = 0; y < H; y++) {
     for(var x = 0; x < W; x++) {
       var e = getEmpty(x, y);
-      if(e == 'v') board[y][x] = tool.length == 1 ? tool : '(';
-      else board[y][x] = e;
+      if(e == 'v') machine.board[y][x] = tool.length == 1 ? tool : '(';
+      else machine.board[y][x] = e;
       updateCell(x, y);
     }
   }
@@ -1465,75 +2340,282 @@ placeButton('erase', function() {
 }).title = 'fills the board with the tile you\'re currently painting with';*/
 
 function undo() {
-  prevtool_forundo = '?';
-  if(!undoboard || undoboard.length != H) return;
-  var temp = clone(board);
-  board = clone(undoboard);
-  undoboard = temp;
+  if(undostack.length == 0) return;
+  var state = undostack.pop();
+  redostack.push(getUndoState(isFullUndoState(state)));
+  setUndoState(state);
+  updateBoard();
+  updateUndoButtons();
+}
+
+function redo() {
+  if(redostack.length == 0) return;
+  var state = redostack.pop();
+  undostack.push(getUndoState(isFullUndoState(state)));
+  setUndoState(state);
   updateBoard();
+  updateUndoButtons();
 }
 
 function undo2() {
   if(!undoboard2 || undoboard2.length != H) return;
-  var temp = clone(board);
-  board = clone(undoboard2);
+  saveUndo();
+  var temp = clone(machine.board);
+  machine.board = clone(undoboard2);
   undoboard2 = temp;
   updateBoard();
 }
 
-placeButton('undo', function() {
+undobutton = placeButton('undo', function() {
   undo();
   resetURL();
-}).title = 'undos last board editing operation';
+});
+undobutton.title = 'undos last board editing operation (shortcut: ctrl+z). Can be pressed multiple times to go further back, the number shows how many operations can be undone.';
+
+redobutton = placeButton('redo', function() {
+  redo();
+  resetURL();
+});
+redobutton.title = 'redoes the last undone board editing operation (shortcut: ctrl+y). The number shows how many operations can be redone.';
+updateUndoButtons();
 
 var saveboard;
 
 placeButton('store', function() {
-  saveboard = clone(board);
+  saveboard = clone(machine.board);
 }).title = 'saves the current board to memory, allowing to recall it with the load button. This allows to store temporary work while drawing. It only remembers it in current session, not after browser refresh. You can use the URL button instead and store the URL elsewhere to remember a state more permanently.';
 
 placeButton('recall', function() {
   if(!saveboard) return;
-  undoboard = clone(board); prevtool_forundo = '?';
-  board = clone(saveboard);
+  saveUndo();
+  machine.board = clone(saveboard);
   updateBoard();
   reset();
   resetURL();
 }).title = 'loads the board state that was saved with "store"';
 
-placeButtonSpacer();
-
-if(W == 11 && H == 11) {
+placeButton('boards', function() {
+  showSlots();
+}).title = 'manage named saved boards: save the current board under a name, and load, rename, duplicate or delete saved boards. These are kept in the local storage of this browser, so they remain after refreshing the page.';
+
+placeButton('file', function() {
+  showBoardFile();
+}).title = 'title, description, author, bit labels and expected output of the board, and download or open it as a .tumble file (which can also be dropped on the page)';
+
+function showBoardSize() {
+  makeHelp('<b>Board size</b><br>The standard board is 11x11. The width must be odd, from ' + MINW + ' to ' + MAXSIZE + ', the height from ' + MINH + ' to ' + MAXSIZE + '. The current board is converted to the new size: all parts are kept, moved so that they stay on the same kind of pin (if needed they are moved down or up). The page is reloaded with the new size.<br><br>', 500, 150);
+  var row = makeElement('div', helpdiv);
+  row.innerHTML = 'width: ';
+  var wfield = makeElement('input', row);
+  wfield.type = 'number';
+  wfield.min = MINW;
+  wfield.max = MAXSIZE;
+  wfield.step = 2;
+  wfield.value = W;
+  wfield.style.width = '60px';
+  row.appendChild(document.createTextNode(' height: '));
+  var hfield = makeElement('input', row);
+  hfield.type = 'number';
+  hfield.min = MINH;
+  hfield.max = MAXSIZE;
+  hfield.value = H;
+  hfield.style.width = '60px';
+  row.appendChild(document.createTextNode(' '));
+  makeDialogButton(row, 'resize', 'convert the board to this size and reload the page', function() {
+    var size = validBoardSize(parseInt(wfield.value, 10) || W, parseInt(hfield.value, 10) || H);
+    resizeBoard(size[0], size[1]);
+  });
+}
 
-placeButton('demo1', function() {
-  undoboard = clone(board); prevtool_forundo = '?';
-  board = loadFromText(`
-...)...%...
-../.{.v.(..
-.%.{*%.%.).
-v.%.).%.%._
-.v./.{.%.%.
-v.%.{*%.%./
-.v.%.).%.x.
-v.v./.{.x./
-.v.%.{*x./.
-v.v.%./.%.v
-...../.....
-`);
-  updateBoard();
-  reset();
-  resetURL();
-  if(MARBLEDEFAULT == 20) {
-    did_any_editing = false;
-    clearLocalStoredBoard(); // this demo is the main startup demo, so clear local storage if this is chosen as that one is already chosen as default without it (with ball autostarting even)
-  } else {
-    did_any_editing = true;
+// converts the board (as it is at restart, like when saving) to the given size, and reloads the page with it
+function resizeBoard(w, h) {
+  if(w == W && h == H) return;
+  var m = new Machine(W, H);
+  m.board = clone((machine.status != STATUS_CRANK && undoboard2 && undoboard2.length == H) ? undoboard2 : machine.board);
+  m.locked = clone(machine.locked);
+  m.totalblue = machine.totalblue;
+  m.totalred = machine.totalred;
+  var converted = m.convertSize(w, h);
+  if(converted.lost.length) {
+    var cells = [];
+    for(var i = 0; i < converted.lost.length; i++) cells.push(converted.lost[i].join(','));
+    makeHelp('The board cannot be made ' + w + 'x' + h + ' without losing parts, these do not fit: ' + cells.join(' ') + '. Remove them first or choose a larger size.', 500, 64);
+    return;
   }
-}).title = 'bbrbbbbrbbbbbbbb example. Crank blue lever to run it';
+  var moved = clone(registers);
+  for(var i = 0; i < moved.length; i++) {
+    for(var j = 0; j < moved[i].cells.length; j++) {
+      moved[i].cells[j][0] += converted.dx;
+      moved[i].cells[j][1] += converted.dy;
+    }
+  }
+  var info = clone(boardinfo);
+  for(var i = 0; i < info.bitlabels.length; i++) {
+    info.bitlabels[i].x += converted.dx;
+    info.bitlabels[i].y += converted.dy;
+  }
+  reloadWithState(stringifyState(converted.machine, moved, info), w, h);
+}
+
+placeButton('size', function() {
+  showBoardSize();
+}).title = 'change the size of the board, converting the current board to the new size without losing parts';
+
+// Whole board transforms: mirroring left to right, and shifting all parts. Shifts keep the pin lattice: the full and the
+// gear-only pins alternate, so only moves by an even number of cells (horizontal plus vertical) keep parts on their kind of pin.
+
+// moves the registers, bit labels and breakpoints along with the parts, with f mapping [x, y] to the new cell
+function transformCellReferences(f) {
+  for(var i = 0; i < registers.length; i++) {
+    for(var j = 0; j < registers[i].cells.length; j++) registers[i].cells[j] = f(registers[i].cells[j]);
+  }
+  for(var i = boardinfo.bitlabels.length - 1; i >= 0; i--) {
+    var label = boardinfo.bitlabels[i];
+    var cell = f([label.x, label.y]);
+    if(cell[0] < 0 || cell[0] >= W || cell[1] < 0 || cell[1] >= H) boardinfo.bitlabels.splice(i, 1);
+    else {
+      label.x = cell[0];
+      label.y = cell[1];
+    }
+  }
+  for(var i = breakpoints.length - 1; i >= 0; i--) {
+    var bp = breakpoints[i];
+    if(bp.type != 'cell' && bp.type != 'flip') continue;
+    var cell = f([bp.x, bp.y]);
+    if(cell[0] < 0 || cell[0] >= W || cell[1] < 0 || cell[1] >= H) breakpoints.splice(i, 1);
+    else {
+      bp.x = cell[0];
+      bp.y = cell[1];
+    }
+  }
+}
+
+// takes over the board of the transformed copy made by Machine.shiftedCopy or Machine.mirroredCopy, unless parts would
+// be lost: then outlines those on the board and reports them. Returns whether it was applied.
+function applyBoardTransform(converted, f, description) {
+  var locked = [];
+  for(var y = 0; y < H; y++) {
+    for(var x = 0; x < W; x++) if(machine.isLocked(x, y)) locked.push(x + ',' + y);
+  }
+  if(locked.length) {
+    makeHelp('Cannot ' + description + ': the board has locked cells, which must stay in place: ' + locked.join(' ') + '. Unlock them first with the lock tool.', 500, 64);
+    return false;
+  }
+  if(converted.lost.length) {
+    clearBoardCheck();
+    var cells = [];
+    for(var i = 0; i < converted.lost.length; i++) {
+      boardcheck[converted.lost[i].join(',')] = 'pin';
+      cells.push(converted.lost[i].join(','));
+    }
+    updateCells(converted.lost);
+    makeHelp('Cannot ' + description + ': these parts would go off the board or onto a spot where they do not fit (outlined on the board): ' + cells.join(' ') + '.', 500, 64);
+    return false;
+  }
+  saveUndo(true);
+  machine.board = converted.machine.board;
+  machine.totalblue = converted.machine.totalblue;
+  machine.totalred = converted.machine.totalred;
+  transformCellReferences(f);
+  removeSelection();
+  reset();
+  updateBoard();
+  updateRegisterOverlays();
+  did_any_editing = true;
+  resetURL();
+  return true;
+}
+
+function mirrorBoard() {
+  return applyBoardTransform(machine.mirroredCopy(), function(cell) {
+    return [W - 1 - cell[0], cell[1]];
+  }, 'mirror the board');
+}
+
+// dx + dy must be even
+function shiftBoard(dx, dy) {
+  return applyBoardTransform(machine.shiftedCopy(W, H, dx, dy), function(cell) {
+    return [cell[0] + dx, cell[1] + dy];
+  }, 'shift the board');
+}
+
+function showTransform() {
+  makeHelp('<b>Transform board</b><br>Mirror the whole board left to right: ramps, bits and gear bits then point to the other side, and the blue and red marble counts are swapped since the launch ramps swap sides. ' +
+           'Or shift all parts: straight by 2 cells, or diagonally by 1, so that they stay on the same kind of pin. Registers, bit labels and breakpoints move along. Refused if any part would not fit. Undo restores the board as it was before, with its registers, bit labels, breakpoints and marble counts.<br><br>', 500, 200);
+  makeDialogButton(helpdiv, 'mirror', 'mirror the board left to right', mirrorBoard);
+  var shifts = [[-1, -1, 'up left'], [0, -2, 'up'], [1, -1, 'up right'], [-2, 0, 'left'], [2, 0, 'right'], [-1, 1, 'down left'], [0, 2, 'down'], [1, 1, 'down right']];
+  for(var i = 0; i < shifts.length; i++) {
+    if(i == 0 || i == 3 || i == 5) makeElement('div', helpdiv).style.marginTop = '8px';
+    makeDialogButton(helpdiv, shifts[i][2], 'shift all parts ' + shifts[i][2] + ' by ' + Math.abs(shifts[i][0] || shifts[i][1]) + ' cell' + ((shifts[i][0] && shifts[i][1]) ? ' diagonally' : 's'), bind(shiftBoard, shifts[i][0], shifts[i][1]));
+  }
+}
+
+placeButton('transform', function() {
+  showTransform();
+}).title = 'mirror the whole board left to right, or shift all parts by a few cells, e.g. to make room at the top';
+
+placeButtonSpacer();
+
+/*
+Loads a demo board. The demos are made for the 11x11 board, for other sizes they
+are converted with convertSize. text is ASCII art or a URL code, the marble counts
+of a URL code are used too. The registers, board info and breakpoints of the old
+board are removed. Returns false, with a message unless opt_quiet, if the demo
+does not fit on this board size. Call saveUndo(true) first to make it undoable.
+*/
+function loadDemo(text, opt_quiet) {
+  var m = new Machine(11, 11, MARBLEDEFAULT);
+  var urlcode = text.indexOf('\n') < 0;
+  if(urlcode) m.loadUrlCode(text);
+  else m.loadText(text);
+  var converted = (W == 11 && H == 11) ? {machine: m, lost: []} : m.convertSize(W, H);
+  if(converted.lost.length) {
+    if(!opt_quiet) makeHelp('This demo does not fit on a ' + W + 'x' + H + ' board.', 400, 32);
+    return false;
+  }
+  machine.board = converted.machine.board;
+  machine.clearLocks();
+  if(urlcode) {
+    machine.numblue = machine.totalblue = m.totalblue;
+    machine.numred = machine.totalred = m.totalred;
+  }
+  registers = [];
+  boardinfo = emptyBoardInfo();
+  breakpoints = [];
+  lastbreak = null;
+  updateRegisterOverlays();
+  return true;
+}
+
+placeButton('demo1', function() {
+  saveUndo(true);
+  if(!loadDemo(`
+...)...%...
+../.{.v.(..
+.%.{*%.%.).
+v.%.).%.%._
+.v./.{.%.%.
+v.%.{*%.%./
+.v.%.).%.x.
+v.v./.{.x./
+.v.%.{*x./.
+v.v.%./.%.v
+...../.....
+`)) return;
+  updateBoard();
+  reset();
+  resetURL();
+  if(MARBLEDEFAULT == 20) {
+    did_any_editing = false;
+    clearLocalStoredBoard(); // this demo is the main startup demo, so clear local storage if this is chosen as that one is already chosen as default without it (with ball autostarting even)
+  } else {
+    did_any_editing = true;
+  }
+}).title = 'bbrbbbbrbbbbbbbb example. Crank blue lever to run it';
 
 placeButton('demo2', function() {
-  undoboard = clone(board); prevtool_forundo = '?';
-  board = loadFromText(`
+  saveUndo(true);
+  if(!loadDemo(`
 ...)...(...
 ..%.%././..
 .v.%.x./.v.
@@ -1545,7 +2627,7 @@ v.v./.%.v.v
 .v.%.v./.v.
 v.v./.%.v.v
 .....v.....
-`);
+`)) return;
   updateBoard();
   reset();
   resetURL();
@@ -1557,8 +2639,8 @@ var binaryaddinfo = 'This setup performs binary addition of the left 3-bit numbe
 
 
 placeButton('addition', function() {
-  undoboard = clone(board); prevtool_forundo = '?';
-  board = loadFromText(`
+  saveUndo(true);
+  if(!loadDemo(`
 ...)...)...
 .././.%.%..
 .%.(.v.(./.
@@ -1570,7 +2652,7 @@ v.%.%././.v
 .v.%._./.v.
 v.v.%./.v.v
 .....x.....
-`);
+`)) return;
   updateBoard();
   reset();
   makeHelp(binaryaddinfo, 500, 180);
@@ -1583,35 +2665,670 @@ var niminfo = 'Play single-pile nim against the mechanical computer. Each player
 
 
 placeButton('nim', function() {
-  undoboard = clone(board); prevtool_forundo = '?';
+  saveUndo(true);
   reset();
-  loadFromUrl(`1i10eerrlfrxfelbfrbglfbgrfbgblfxlflrfr_15_0`);
+  if(!loadDemo(`1i10eerrlfrxfelbfrbglfbgrfbgblfxlflrfr_15_0`)) return;
   updateAll();
   makeHelp(niminfo, 500, 400);
   resetURL();
   did_any_editing = true;
 }).title = niminfo;
+
+placeButtonSpacer();
+
+// the challenges are made for the 11x11 board only
+if(W == 11 && H == 11) {
+
+placeButton('challenges', function() {
+  showChallenges();
+}).title = 'puzzles with a goal: each challenge gives a starting board with locked parts, a limited set of parts to add and the expected output. Build the solution and use the check button to see whether it is correct.';
+
+placeButton('check', function() {
+  checkActiveChallenge();
+}).title = 'checks whether the board solves the active challenge: runs it from the state before the lever was cranked and compares the marbles arriving at the bottom (and bits, if the challenge requires so) with the goal';
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+// Challenge mode, the challenges themselves and the goal checking are in challenges.js.
+
+var challenge = null; // the active challenge, or null if not in challenge mode
+
+var challengebox = makeDiv(5, rbuttony + 12 + 80, 120, 48, rightpanel);
+challengebox.style.border = '1px solid #888';
+challengebox.style.textAlign = 'center';
+challengebox.style.visibility = 'hidden';
+challengebox.title = 'the active challenge. The border turns green when the last check passed, red when it failed.';
+
+function updateChallengeBox(opt_result) {
+  if(!challenge) {
+    challengebox.style.visibility = 'hidden';
+    return;
+  }
+  challengebox.style.visibility = 'visible';
+  challengebox.innerHTML = 'challenge:<br>' + challenge.name;
+  challengebox.style.border = opt_result ? (opt_result.pass ? '2px solid #0d0' : '2px solid red') : '1px solid #888';
+}
+
+var timescrubber = makeSizedElement('input', 5, rbuttony + 12 + 140, 120, 20, rightpanel);
+timescrubber.type = 'range';
+timescrubber.min = 0;
+timescrubber.title = 'timeline of the whole session: drag to go back to any earlier moment, across lever cranks, stops and edits. Changing something after going back discards the later moments.';
+timescrubber.oninput = function() {
+  timeTravel(parseInt(timescrubber.value, 10));
+};
+var timelabel = makeDiv(5, rbuttony + 12 + 164, 160, 20, rightpanel);
+timelabel.style.fontSize = 'small';
+
+function updateTimeScrubber() {
+  if(!timescrubber) return;
+  timescrubber.max = Math.max(0, timeline.length - 1);
+  timescrubber.value = Math.max(0, timepos);
+  timelabel.innerHTML = 'time: ' + (timepos + 1) + ' / ' + timeline.length + (timepos >= 0 ? ' (' + timeline[timepos].label + ')' : '');
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+// Debugging: breakpoints that pause time, and the watch panel showing them and the bit registers.
+
+/*
+Each breakpoint is an object with a field type:
+cell: {type, x, y}, pauses when a marble arrives at this cell
+flip: {type, x, y}, pauses when the bit or gear bit at this cell flips, or any
+ part of the gear group it belongs to
+output: {type, color}, pauses when a marble of this color arrives at the bottom,
+ color is BLUE, RED or -1 for any color
+steps: {type, n, count}, pauses every n steps, count is the amount of steps done
+ since it was added or last paused
+*/
+var breakpoints = [];
+
+function describeBreakpoint(bp) {
+  if(bp.type == 'cell') return 'marble reaches x=' + bp.x + ', y=' + bp.y;
+  if(bp.type == 'flip') return 'flip at x=' + bp.x + ', y=' + bp.y;
+  if(bp.type == 'output') return (bp.color == BLUE ? 'blue' : (bp.color == RED ? 'red' : 'any')) + ' marble arrives at the bottom';
+  return 'every ' + bp.n + ' steps';
+}
+
+// returns the breakpoint at this cell, or -1
+function findCellBreakpoint(x, y) {
+  for(var i = 0; i < breakpoints.length; i++) {
+    var bp = breakpoints[i];
+    if((bp.type == 'cell' || bp.type == 'flip') && bp.x == x && bp.y == y) return i;
+  }
+  return -1;
+}
+
+function addBreakpoint(bp) {
+  if(bp.type == 'steps') bp.count = 0;
+  breakpoints.push(bp);
+  if(bp.type == 'cell' || bp.type == 'flip') updateCell(bp.x, bp.y);
+  updateWatchPanel();
+}
+
+function removeBreakpoint(i) {
+  var bp = breakpoints[i];
+  breakpoints.splice(i, 1);
+  if(bp.type == 'cell' || bp.type == 'flip') updateCell(bp.x, bp.y);
+  updateWatchPanel();
+}
+
+// for the break tool: toggles a breakpoint at this cell, a flip breakpoint for bits and gears, otherwise a breakpoint for marbles reaching it
+function toggleCellBreakpoint(x, y) {
+  var i = findCellBreakpoint(x, y);
+  if(i >= 0) {
+    removeBreakpoint(i);
+    return;
+  }
+  var t = partType(machine.board[y][x]);
+  addBreakpoint({type: (t == 'bit' || t == 'gearbit' || t == 'gear') ? 'flip' : 'cell', x: x, y: y});
+}
+
+// returns the first breakpoint hit by the step with this result (see machine.step), or null
+function checkBreakpoints(result) {
+  var hit = null;
+  for(var i = 0; i < breakpoints.length; i++) {
+    var bp = breakpoints[i];
+    if(bp.type == 'steps') {
+      // all of these must count, also when an earlier breakpoint was hit
+      bp.count++;
+      if(bp.count >= bp.n) {
+        bp.count = 0;
+        if(!hit) hit = bp;
+      }
+    }
+    if(hit) continue;
+    if(bp.type == 'cell') {
+      for(var j = 0; j < result.marbles.length; j++) {
+        var m = result.marbles[j];
+        if(m.x == bp.x && m.y == bp.y && m.part != undefined) hit = bp;
+      }
+    } else if(bp.type == 'flip') {
+      for(var j = 0; j < result.changed.length; j++) {
+        if(result.changed[j][0] == bp.x && result.changed[j][1] == bp.y) hit = bp;
+      }
+    } else if(bp.type == 'output') {
+      for(var j = 0; j < result.outputs.length; j++) {
+        if(bp.color < 0 || result.outputs[j] == bp.color) hit = bp;
+      }
+    }
+  }
+  return hit;
+}
+
+var lastbreak = null; // the breakpoint that paused time last, shown in the watch panel until time continues
+
+var watchpanel = makeDiv(5, rbuttony + 12 + 190, 160, 20, rightpanel);
+watchpanel.style.fontSize = 'small';
+watchpanel.title = 'values of the registers, and the breakpoint that paused time. Set these with the registers and debug buttons.';
+
+function updateWatchPanel() {
+  if(!watchpanel) return;
+  watchpanel.innerHTML = '';
+  // as text nodes, since register names come from the user or from opened files
+  var addLine = function(text, opt_color) {
+    var line = makeElement('div', watchpanel);
+    line.textContent = text;
+    if(opt_color) line.style.color = opt_color;
+  };
+  if(lastbreak) addLine('paused at breakpoint: ' + describeBreakpoint(lastbreak), 'red');
+  if(machine.status == STATUS_LOOPING && machine.cycle) addLine(describeCycle(machine.cycle), 'red');
+  for(var i = 0; i < registers.length; i++) {
+    var value = formatRegister(registers[i]);
+    addLine(value);
+    if(registeroverlays[i]) registeroverlays[i].textContent = value;
+  }
+}
+
+function describeCycle(cycle) {
+  return 'looping: the state repeats every ' + cycle.length + ' steps, with output ' + (cycle.outputs.length ? marblesToString(cycle.outputs) : 'nothing') + ' per cycle';
+}
+
+function showDebug() {
+  makeHelp('<b>Breakpoints</b><br>Time pauses when a breakpoint is hit. With the break tool, click a cell on the board to toggle a breakpoint on it: for bits and gears it pauses when they flip, for other cells when a marble arrives there. Cells with a breakpoint have a red background.<br><br>', 600, 440);
+  helpdiv.style.overflow = 'auto';
+  for(var i = 0; i < breakpoints.length; i++) {
+    var row = makeElement('div', helpdiv);
+    row.innerHTML = describeBreakpoint(breakpoints[i]) + ' ';
+    makeDialogButton(row, 'remove', 'remove this breakpoint', bind(function(i) {
+      removeBreakpoint(i);
+      showDebug();
+    }, i));
+  }
+  var row = makeElement('div', helpdiv);
+  row.style.marginTop = '8px';
+  row.innerHTML = 'add: ';
+  makeDialogButton(row, 'blue output', 'pause when a blue marble arrives at the bottom', function() {
+    addBreakpoint({type: 'output', color: BLUE});
+    showDebug();
+  });
+  makeDialogButton(row, 'red output', 'pause when a red marble arrives at the bottom', function() {
+    addBreakpoint({type: 'output', color: RED});
+    showDebug();
+  });
+  makeDialogButton(row, 'any output', 'pause when any marble arrives at the bottom', function() {
+    addBreakpoint({type: 'output', color: -1});
+    showDebug();
+  });
+  var stepsfield = makeElement('input', row);
+  stepsfield.type = 'number';
+  stepsfield.min = 1;
+  stepsfield.value = 10;
+  stepsfield.style.width = '50px';
+  makeDialogButton(row, 'steps', 'pause every this many steps', function() {
+    var n = parseInt(stepsfield.value, 10);
+    if(!(n > 0)) return;
+    addBreakpoint({type: 'steps', n: n});
+    showDebug();
+  });
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+// Bit registers: named groups of bits or gear bits, of which the value is shown on the board and in the watch panel.
+
+/*
+Each register is {name, cells, weights} with cells a list of [x, y] of bits or
+gear bits, and weights the value of each cell when it points right (pointing
+left means 0). The weights are optional, by default they are 1, 2, 4, ... in
+the order of the cells, so the first cell is the least significant bit.
+*/
+var registers = [];
+var registerselection = []; // cells clicked with the register tool, in order, for the next register to create
+var registeroverlays = []; // per register, the div showing its value on the board
+
+function registerWeight(register, i) {
+  return register.weights ? register.weights[i] : Math.pow(2, i);
+}
+
+// returns the value of the register, or NaN if one of its cells is not a bit or gear bit
+function registerValue(register) {
+  var value = 0;
+  for(var i = 0; i < register.cells.length; i++) {
+    var c = machine.board[register.cells[i][1]][register.cells[i][0]];
+    if(c == ')' || c == '}') value += registerWeight(register, i);
+    else if(c != '(' && c != '{') return NaN;
+  }
+  return value;
+}
+
+// returns the value as decimal, hexadecimal and as the states of the cells (most significant, that is the last cell, first)
+function formatRegister(register) {
+  var value = registerValue(register);
+  if(isNaN(value)) return register.name + ' = ?';
+  var bits = '';
+  for(var i = register.cells.length - 1; i >= 0; i--) {
+    var c = machine.board[register.cells[i][1]][register.cells[i][0]];
+    bits += (c == ')' || c == '}') ? '1' : '0';
+  }
+  return register.name + ' = ' + value + ' = 0x' + value.toString(16) + ' = 0b' + bits;
+}
+
+// parses a number given as decimal, or hexadecimal or binary with 0x or 0b prefix. Returns NaN if invalid.
+function parseRegisterValue(text) {
+  text = text.trim().toLowerCase();
+  if(/^0b[01]+$/.test(text)) return parseInt(text.substr(2), 2);
+  if(/^0x[0-9a-f]+$/.test(text)) return parseInt(text.substr(2), 16);
+  if(/^[0-9]+$/.test(text)) return parseInt(text, 10);
+  return NaN;
+}
+
+// returns the first two cells of the list that are gear bits of the same gear group, or null. Those always turn together, so
+// they cannot be separate bits of a register.
+function registerGearConflict(cells) {
+  var groups = {}; // 'x,y' of the gears and gear bits connected to the cells checked so far, to the index of that cell
+  for(var i = 0; i < cells.length; i++) {
+    var x = cells[i][0], y = cells[i][1];
+    var c = machine.board[y][x];
+    if(c != '{' && c != '}') continue;
+    if(groups[x + ',' + y] != undefined) return [cells[groups[x + ',' + y]], cells[i]];
+    var group = machine.getGearGroup(x, y);
+    for(var j = 0; j < group.length; j++) groups[group[j][0] + ',' + group[j][1]] = i;
+  }
+  return null;
+}
+
+// message for registerGearConflict
+function describeGearConflict(conflict) {
+  return 'the gear bits at ' + conflict[0].join(',') + ' and ' + conflict[1].join(',') + ' are in the same gear group, so they always turn together.';
+}
+
+// sets the bits of the register to represent the value, taking the cells with largest weights first. Returns false with a message if not possible.
+function setRegisterValue(register, value) {
+  // the board may have changed since the register was made, or it came from a file
+  var conflict = registerGearConflict(register.cells);
+  if(conflict) {
+    makeHelp('Cannot set register ' + escapeHtml(register.name) + ': ' + describeGearConflict(conflict), 400, 50);
+    return false;
+  }
+  var order = [];
+  for(var i = 0; i < register.cells.length; i++) order.push(i);
+  order.sort(function(a, b) { return registerWeight(register, b) - registerWeight(register, a); });
+  var on = [];
+  var remaining = value;
+  for(var i = 0; i < order.length; i++) {
+    var w = registerWeight(register, order[i]);
+    on[order[i]] = (w > 0 && remaining >= w);
+    if(on[order[i]]) remaining -= w;
+  }
+  if(remaining != 0 || isNaN(value)) {
+    makeHelp('The value ' + value + ' cannot be represented by register ' + escapeHtml(register.name) + '.', 400, 32);
+    return false;
+  }
+  for(var i = 0; i < register.cells.length; i++) {
+    var x = register.cells[i][0], y = register.cells[i][1];
+    var c = machine.board[y][x];
+    // a gear bit turns its whole gear group
+    var group = (c == '{' || c == '}') ? machine.getGearGroup(x, y) : [[x, y]];
+    for(var j = 0; j < group.length; j++) {
+      if(machine.isLocked(group[j][0], group[j][1])) {
+        makeHelp('Cannot set register ' + escapeHtml(register.name) + ': the cell at x=' + group[j][0] + ', y=' + group[j][1] + ' is locked' +
+                 ((group[j][0] != x || group[j][1] != y) ? ', it turns along with the gear bit at x=' + x + ', y=' + y : '') + '.', 400, 50);
+        return false;
+      }
+    }
+  }
+  saveUndo();
+  for(var i = 0; i < register.cells.length; i++) {
+    var x = register.cells[i][0], y = register.cells[i][1];
+    var c = machine.board[y][x];
+    var right = (c == ')' || c == '}');
+    if(right == on[i]) continue;
+    if(c == '(' || c == ')') {
+      machine.board[y][x] = on[i] ? ')' : '(';
+      updateCell(x, y);
+    } else if(c == '{' || c == '}') {
+      toggleGear(x, y); // turns the whole gear group
+    }
+  }
+  did_any_editing = true;
+  updateWatchPanel();
+  return true;
+}
+
+function promptRegisterValue(register) {
+  var text = window.prompt('New value for register ' + register.name + ' (decimal, or with 0x or 0b prefix):', '' + registerValue(register));
+  if(text == null) return;
+  var value = parseRegisterValue(text);
+  if(isNaN(value)) {
+    makeHelp('Invalid number: ' + escapeHtml(text), 400, 32);
+    return;
+  }
+  setRegisterValue(register, value);
+}
+
+// for the register tool: adds the cell to the selection for the next register, or removes it if already selected
+function toggleRegisterSelection(x, y) {
+  for(var i = 0; i < registerselection.length; i++) {
+    if(registerselection[i][0] == x && registerselection[i][1] == y) {
+      registerselection.splice(i, 1);
+      updateCell(x, y);
+      return;
+    }
+  }
+  var t = partType(machine.board[y][x]);
+  if(t != 'bit' && t != 'gearbit') {
+    makeHelp('Registers can only contain bits and gear bits.', 400, 32);
+    return;
+  }
+  registerselection.push([x, y]);
+  updateCell(x, y);
+}
+
+function isRegisterSelected(x, y) {
+  for(var i = 0; i < registerselection.length; i++) {
+    if(registerselection[i][0] == x && registerselection[i][1] == y) return true;
+  }
+  return false;
+}
+
+function clearRegisterSelection() {
+  var cells = registerselection;
+  registerselection = [];
+  updateCells(cells);
+}
+
+// recreates the divs showing the register values on the board, after registers were added or removed
+function updateRegisterOverlays() {
+  for(var i = 0; i < registeroverlays.length; i++) boardview.removeChild(registeroverlays[i]);
+  registeroverlays = [];
+  for(var i = 0; i < registers.length; i++) {
+    var cell = registers[i].cells[0];
+    var div = makeDiv(mainleft + cell[0] * S, maintop + cell[1] * S - 14, 200, 14, boardview);
+    div.style.width = 'auto';
+    div.style.fontSize = '11px';
+    div.style.lineHeight = '14px';
+    div.style.padding = '0 2px';
+    div.style.backgroundColor = 'rgba(255, 255, 200, 0.85)';
+    div.style.border = '1px solid #cc8';
+    div.style.whiteSpace = 'nowrap';
+    div.style.cursor = 'pointer';
+    div.title = 'value of register ' + registers[i].name + ', click to set a new value';
+    div.onclick = bind(promptRegisterValue, registers[i]);
+    registeroverlays.push(div);
+  }
+  updateWatchPanel();
+}
+
+// returns the registers as text for the registers field of stringifyState
+function registersToText(opt_registers) {
+  return encodeURIComponent(JSON.stringify(opt_registers || registers));
+}
+
+function registersFromText(text) {
+  var result;
+  try {
+    result = JSON.parse(decodeURIComponent(text));
+  } catch(e) {
+    return [];
+  }
+  return (result instanceof Array) ? result : [];
+}
+
+function showRegisters() {
+  makeHelp('<b>Registers</b><br>A register is a group of bits or gear bits that together form a number. Its value is shown on the board at its first cell, click it there to type in a new value. To make one, select the bits with the register tool in the order you want (first is least significant), then press create. Weights are optional, by default they are 1, 2, 4, 8, ...<br><br>', 600, 400);
+  helpdiv.style.overflow = 'auto';
+  for(var i = 0; i < registers.length; i++) {
+    var row = makeElement('div', helpdiv);
+    var cells = [];
+    for(var j = 0; j < registers[i].cells.length; j++) cells.push(registers[i].cells[j].join(','));
+    row.appendChild(document.createTextNode(formatRegister(registers[i]) + ', cells: ' + cells.join(' ') + (registers[i].weights ? ', weights: ' + registers[i].weights.join(' ') : '') + ' '));
+    makeDialogButton(row, 'set', 'type in a new value for this register', bind(function(register) {
+      promptRegisterValue(register);
+      showRegisters();
+    }, registers[i]));
+    makeDialogButton(row, 'remove', 'remove this register', bind(function(i) {
+      registers.splice(i, 1);
+      updateRegisterOverlays();
+      did_any_editing = true;
+      showRegisters();
+    }, i));
+  }
+
+  var row = makeElement('div', helpdiv);
+  row.style.marginTop = '8px';
+  row.innerHTML = 'selected cells: ' + registerselection.length + '<br>';
+  var namefield = makeElement('input', row);
+  namefield.type = 'text';
+  namefield.placeholder = 'name';
+  namefield.value = 'R' + (registers.length + 1);
+  var weightsfield = makeElement('input', row);
+  weightsfield.type = 'text';
+  weightsfield.placeholder = 'weights, e.g. 1 2 4 8';
+  makeDialogButton(row, 'create', 'create a register from the cells selected with the register tool', function() {
+    if(registerselection.length == 0) {
+      makeHelp('Select the bits of the register first, with the register tool.', 400, 32);
+      return;
+    }
+    var conflict = registerGearConflict(registerselection);
+    if(conflict) {
+      makeHelp('Cannot make this register: ' + describeGearConflict(conflict), 400, 50);
+      return;
+    }
+    var register = {name: namefield.value.trim() || ('R' + (registers.length + 1)), cells: registerselection};
+    if(weightsfield.value.trim()) {
+      var weights = weightsfield.value.trim().split(/[\s,]+/);
+      for(var i = 0; i < weights.length; i++) weights[i] = parseInt(weights[i], 10);
+      if(weights.length != registerselection.length || weights.some(isNaN)) {
+        makeHelp('Give one weight per selected cell (' + registerselection.length + ').', 400, 32);
+        return;
+      }
+      register.weights = weights;
+    }
+    registers.push(register);
+    clearRegisterSelection();
+    updateRegisterOverlays();
+    did_any_editing = true;
+    showRegisters();
+  });
+  makeDialogButton(row, 'clear selection', 'deselect the cells selected with the register tool', function() {
+    clearRegisterSelection();
+    showRegisters();
+  });
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+// Truth table: runs the board for every combination of some input bits, see makeTruthTable in challenges.js.
+
+// the fields of the truth table dialog, remembered between openings
+var truthtable = {inputs: '', outputs: '', lever: BLUE, expected: ''};
+
+// parses cells given as "x,y x,y ..." or as names of registers, to a list of [x, y]. Returns null if invalid.
+function parseCells(text) {
+  var result = [];
+  var words = text.trim().split(/\s+/);
+  for(var i = 0; i < words.length; i++) {
+    if(words[i] == '') continue;
+    var register = null;
+    for(var j = 0; j < registers.length; j++) if(registers[j].name == words[i]) register = registers[j];
+    if(register) {
+      result = result.concat(clone(register.cells));
+      continue;
+    }
+    var xy = words[i].split(',');
+    var x = parseInt(xy[0], 10), y = parseInt(xy[1], 10);
+    if(xy.length != 2 || !(x >= 0 && x < W && y >= 0 && y < H)) return null;
+    result.push([x, y]);
+  }
+  return result;
+}
+
+function showTruthTable(opt_rows) {
+  makeHelp('<b>Truth table</b><br>Runs the board once for every combination of the input bits, each time with all marbles at the top and cranking the lever once, and shows the output: the final state of the output bits, or if none are given the marbles arriving at the bottom. Give cells as x,y separated by spaces (first is the leftmost column), or the names of registers. 1 means pointing right.<br><br>', 600, 440);
+  helpdiv.style.overflow = 'auto';
+  var row = makeElement('div', helpdiv);
+  row.innerHTML = 'inputs: ';
+  var inputsfield = makeElement('input', row);
+  inputsfield.type = 'text';
+  inputsfield.placeholder = 'e.g. 3,0 4,1';
+  inputsfield.value = truthtable.inputs || (registers.length ? registers[0].name : '');
+  row.appendChild(document.createTextNode(' outputs: '));
+  var outputsfield = makeElement('input', row);
+  outputsfield.type = 'text';
+  outputsfield.placeholder = 'empty for the marbles';
+  outputsfield.value = truthtable.outputs;
+  row.appendChild(document.createTextNode(' lever: '));
+  var leverfield = makeElement('select', row);
+  leverfield.innerHTML = '<option value="0">blue</option><option value="1">red</option>';
+  leverfield.value = '' + truthtable.lever;
+  row = makeElement('div', helpdiv);
+  row.innerHTML = 'expected table (optional), one row per line as input and output, e.g. "01 brb" or "01 1":<br>';
+  var expectedfield = makeElement('textarea', row);
+  expectedfield.rows = 4;
+  expectedfield.cols = 40;
+  expectedfield.value = truthtable.expected;
+  row = makeElement('div', helpdiv);
+  makeDialogButton(row, 'compute', 'run the board for every combination of the inputs', function() {
+    truthtable.inputs = inputsfield.value;
+    truthtable.outputs = outputsfield.value;
+    truthtable.lever = parseInt(leverfield.value, 10);
+    truthtable.expected = expectedfield.value;
+    var inputs = parseCells(truthtable.inputs);
+    var outputs = truthtable.outputs.trim() ? parseCells(truthtable.outputs) : null;
+    if(!inputs || inputs.length == 0 || (truthtable.outputs.trim() && !outputs)) {
+      makeHelp('Invalid cells, give them as x,y separated by spaces, or as register names.', 400, 32);
+      return;
+    }
+    if(inputs.length > 10) {
+      makeHelp('Too many inputs, at most 10 are supported.', 400, 32);
+      return;
+    }
+    // if marbles were already released, the bits may have changed, so use the board as it was when the lever was cranked
+    var running = machine.numblue != machine.totalblue || machine.numred != machine.totalred || machine.marbles.length > 0;
+    var m = new Machine(W, H, 0);
+    m.board = clone((running && undoboard2.length == H) ? undoboard2 : machine.board);
+    m.physics = machine.physics;
+    m.totalblue = machine.totalblue;
+    m.totalred = machine.totalred;
+    var table = makeTruthTable(m, inputs, outputs, truthtable.lever);
+    if(table.error) {
+      makeHelp(table.error, 400, 32);
+      return;
+    }
+    showTruthTable(table.rows);
+  });
+  if(!opt_rows) return;
+
+  var failed = compareTruthTable(opt_rows, truthtable.expected);
+  var html = '<table style="border-collapse: collapse; margin-top: 8px"><tr><th>input</th><th>output</th>' + (truthtable.expected.trim() ? '<th>expected</th>' : '') + '</tr>';
+  for(var i = 0; i < opt_rows.length; i++) {
+    var r = opt_rows[i];
+    var color = (r.expected == undefined) ? '' : ((r.expected == r.output) ? 'green' : 'red');
+    html += '<tr style="color:' + color + '"><td style="padding-right: 16px">' + r.input + '</td><td style="padding-right: 16px">' + (r.output || 'nothing') + (r.stopped ? '' : ' (did not stop)') + '</td>';
+    if(truthtable.expected.trim()) html += '<td>' + (r.expected == undefined ? '-' : r.expected) + '</td>';
+    html += '</tr>';
+  }
+  html += '</table>';
+  if(truthtable.expected.trim()) html += (failed ? '<span style="color:red">' + failed + ' rows differ from the expected table.</span>' : '<span style="color:green">All given rows match the expected table.</span>');
+  makeElement('div', helpdiv).innerHTML = html;
+}
+
+function startChallenge(c) {
+  saveUndo();
+  challenge = c;
+  var m = makeChallengeMachine(c);
+  machine.board = clone(m.board);
+  machine.locked = clone(m.locked);
+  machine.totalblue = c.blue;
+  machine.totalred = c.red;
+  inventory = {};
+  for(var i = 0; i < PARTTYPES.length; i++) inventory[PARTTYPES[i]] = partsOnBoard(PARTTYPES[i]) + (c.parts[PARTTYPES[i]] || 0);
+  reset();
+  updateAll();
+  updateCounters();
+  resetURL();
+  did_any_editing = true;
+  updateChallengeBox();
+  showChallengeInfo();
+}
+
+function leaveChallenge() {
+  challenge = null;
+  machine.clearLocks();
+  updateBoard();
+  inventory = userinventory;
+  updateToolCounts();
+  updateChallengeBox();
+}
+
+function showChallengeInfo() {
+  var text = '<b>' + challenge.name + '</b><br><br>' + challenge.description + '<br><br>';
+  if(challenge.output != undefined) text += 'Expected output: ' + challenge.output + ' (b = blue, r = red), with ' + challenge.blue + ' blue and ' + challenge.red + ' red marbles, cranking the ' + (challenge.lever == BLUE ? 'blue' : 'red') + ' lever once.<br>';
+  var parts = [];
+  for(var t in challenge.parts) parts.push(challenge.parts[t] + ' ' + t);
+  text += 'Parts available: ' + (parts.length ? parts.join(', ') : 'none') + '.';
+  makeHelp(text, 500, 200);
+}
+
+function showChallenges() {
+  makeHelp('<b>Challenges</b><br>Build a solution on the given board, using only the available parts, then use the check button. Parts already on the starting board are locked. These challenges are made up for this emulator, they are not the official puzzles of the puzzle book.<br><br>', 500, 300);
+  helpdiv.style.overflow = 'auto';
+  if(challenge) {
+    var info = makeElement('div', helpdiv);
+    info.innerHTML = 'Active: ' + challenge.name + ' ';
+    makeDialogButton(info, 'goal', 'show the goal of the active challenge again', showChallengeInfo);
+    makeDialogButton(info, 'leave', 'leave challenge mode, this unlocks the pre-placed parts so all parts can be edited freely again', function() {
+      leaveChallenge();
+      showChallenges();
+    });
+  }
+  for(var i = 0; i < CHALLENGES.length; i++) {
+    var row = makeElement('div', helpdiv);
+    row.style.borderTop = '1px solid #ccc';
+    row.style.padding = '4px 0';
+    row.innerHTML = (i + 1) + '. ' + CHALLENGES[i].name + ' ';
+    makeDialogButton(row, 'start', 'load the starting board of this challenge, replacing the current one', bind(function(c) {
+      startChallenge(c);
+    }, CHALLENGES[i]));
+  }
+}
+
+function checkActiveChallenge() {
+  if(!challenge) {
+    makeHelp('No challenge active, choose one with the "challenges" button first.', 400, 32);
+    return;
+  }
+  // if marbles were already released, the bits may have changed, so check the board as it was when the lever was cranked
+  var running = machine.numblue != machine.totalblue || machine.numred != machine.totalred || machine.marbles.length > 0;
+  var board = (running && undoboard2.length == H) ? undoboard2 : machine.board;
+  var result = checkChallenge(challenge, machine.toText(board));
+  updateChallengeBox(result);
+  var text = '<b>' + challenge.name + ': ' + (result.pass ? '<span style="color:green">passed</span>' : '<span style="color:red">failed</span>') + '</b><br><br>' + result.message;
+  if(!result.pass && result.output) text += '<br>Output of your board: ' + result.output + (challenge.output != undefined ? ', expected: ' + challenge.output : '');
+  makeHelp(text, 500, 80);
 }
 
 var tool = 'h';
-var prevtool_forundo = 'h';
+var undosavedforstroke = false; // whether saveUndo was already called for the current mouse drag
 
 function activateTool(x, y) {
-  if(tool != 'h' && tool != 'o' && tool != 'O') did_any_editing = true;
-  if(tool != prevtool_forundo) undoboard = clone(board);
-  prevtool_forundo = tool;
+  if(tool != 'h' && tool != 'o' && tool != 'O' && tool != 'break' && tool != 'register' && tool != 'select') did_any_editing = true;
   resetURL();
   if(tool == 'o' || tool == 'O') {
-    ballx = x;
-    bally = y;
-    color = (tool == 'o') ? BLUE : RED;
-    var v = (y < 0 ? (x < W / 2 ? '\\' : '/') : board[y][x]);
-    if(v == '/' || v == '(' || v == '{') velx = -1;
-    else if(v == '\\' || v == ')' || v == '}') velx = 1;
-    else if(v == 'x') velx = ((velx == 0) ? 1 : velx);
-    else velx = 0;
-    velhistory = [];
-    status = v == '_' ? STATUS_INTERCEPTED : STATUS_ROLLING;
+    recordTimeline('edit');
+    machine.placeBall(x, y, (tool == 'o') ? BLUE : RED);
+    recordTimeline('place marble');
     updateStatusBox();
     updateBallPos();
     updateBallTexture();
@@ -1622,7 +3339,29 @@ function activateTool(x, y) {
     return;
   }
   if(x < 0 || x >= W || y < 0 || y >= H) return;
-  var b = board[y][x];
+  if(tool == 'break') {
+    toggleCellBreakpoint(x, y);
+    return;
+  }
+  if(tool == 'register') {
+    toggleRegisterSelection(x, y);
+    return;
+  }
+  if(tool == 'select') {
+    startSelection(x, y);
+    return;
+  }
+  if(tool == 'stamp') {
+    stampComponent(x, y);
+    return;
+  }
+  if(tool == 'lock') {
+    saveUndo();
+    machine.setLocked(x, y, !machine.isLocked(x, y));
+    updateCell(x, y);
+    return;
+  }
+  var b = machine.board[y][x];
   if(b == '+') b = '*'; // graphical-only effect is effectively a regular gear
   if(b == '%') b = '\\'; // in case the backslash-avoiding notation ends up in the actual board
   var v = tool;
@@ -1633,6 +3372,15 @@ function activateTool(x, y) {
     else if(b == '(') v = ')';
     else if(b == ')') v = '(';
     else if(b == '{' || b == '}' || b == '+' || b == '*') {
+      // turning a gear turns its whole group, so all of it must be unlocked
+      var group = machine.getGearGroup(x, y);
+      for(var i = 0; i < group.length; i++) {
+        if(machine.isLocked(group[i][0], group[i][1])) {
+          showEditRefusal(group[i][0], group[i][1], v);
+          return;
+        }
+      }
+      saveUndo();
       toggleGear(x, y);
       return;
     } else return;
@@ -1641,9 +3389,28 @@ function activateTool(x, y) {
   if(e == ' ') return;
   if((e == '.' || e == ' ') && v != '*' && v != '+' && v != ' ' && v != '.' && v != 'v') return;
   if(b == v) v = e; // if the board already has what you want to place on it, instead toggle it to empty
+  if(!editAllowed(x, y, b, v)) {
+    showEditRefusal(x, y, v);
+    return;
+  }
+  if(v == '+' || v == '*' || v == '{' || v == '}') {
+    // the new part joins a gear group, whose gear bits then all turn to the same side: those must be unlocked
+    var m = new Machine(W, H);
+    m.board = clone(machine.board);
+    m.board[y][x] = v;
+    var turned = m.fixGearGroup(x, y);
+    for(var i = 0; i < turned.length; i++) {
+      if(machine.isLocked(turned[i][0], turned[i][1])) {
+        showEditRefusal(turned[i][0], turned[i][1], v);
+        return;
+      }
+    }
+  }
+  saveUndo();
+  machine.board[y][x] = v == 'v' ? e : v;
   updateCounterFromTo(b, v);
-  board[y][x] = v == 'v' ? e : v;
   updateCell(x, y);
+  updateWatchPanel();
   if(v == '+' || v == '*' || v == '{' || v == '}') fixGearGroup(x, y);
 }
 
@@ -1653,46 +3420,820 @@ updateTimeButtonBorders();
 
 
 
-document.onkeypress = function(e) {
-  var k;
-  var ctrl;
-  if (window.event != null) {
-    k = window.event.keyCode;
-    ctrl = window.event.ctrlKey;
-  } else {
-    k = e.charCode;
-    if(k == 0) k = e.keyCode;
-    ctrl = e.ctrlKey;
+// Keyboard input. Each binding has the label and description shown in the "?" overlay, the e.key value
+// (or a function testing the keydown event) and the function to call. The arrow keys move a cell cursor
+// on the board, so that boards can be built and run without a mouse.
+
+var keybindings = [];
+
+function addKeyBinding(label, description, key, fun, opt_ctrl) {
+  keybindings.push({label: label, description: description, key: key, fun: fun, ctrl: !!opt_ctrl});
+}
+
+var cursorx = Math.floor(W / 2);
+var cursory = 0;
+var cursordiv = null; // created on first use, so that it is drawn above the cells
+var keystroke = false; // whether shift+arrow is drawing, like a mouse drag
+
+function updateCursor() {
+  if(!cursordiv) {
+    cursordiv = makeDiv(0, 0, S, S, boardview);
+    cursordiv.style.outline = '3px solid #f0f';
+    cursordiv.style.outlineOffset = '-3px';
+    cursordiv.style.pointerEvents = 'none';
+  }
+  cursordiv.style.left = '' + (mainleft + cursorx * S) + 'px';
+  cursordiv.style.top = '' + (maintop + cursory * S) + 'px';
+  cursordiv.style.visibility = 'visible';
+  if(tool == 'stamp') updateStampPreview(cursorx, cursory);
+  // pan the zoomed view along with the cursor
+  var vw = boardviewport.offsetWidth;
+  var vh = boardviewport.offsetHeight;
+  var x = panx + cursorx * S * zoom;
+  var y = pany + (cursory + 1) * S * zoom;
+  if(x < 0) panx -= x;
+  if(y < 0) pany -= y;
+  if(vw && x + S * zoom > vw) panx -= x + S * zoom - vw;
+  if(vh && y + S * zoom > vh) pany -= y + S * zoom - vh;
+  clampPan();
+  updateBoardView();
+}
+
+function hideCursor() {
+  if(cursordiv) cursordiv.style.visibility = 'hidden';
+}
+
+// the first arrow key press only shows the cursor, later ones move it. With opt_draw, draws on the cells on the way.
+function moveCursor(dx, dy, opt_draw) {
+  var visible = cursordiv && cursordiv.style.visibility == 'visible';
+  if(visible) {
+    if(opt_draw && !keystroke) {
+      keystroke = true;
+      undosavedforstroke = false;
+      activateTool(cursorx, cursory);
+    }
+    cursorx = Math.max(0, Math.min(W - 1, cursorx + dx));
+    cursory = Math.max(0, Math.min(H - 1, cursory + dy));
+    if(opt_draw) paintCellAt(cursorx, cursory);
+  }
+  updateCursor();
+}
+
+var SPEEDS = [1000, 300, 100, 5]; // durations of the slow, medium, fast and fastest buttons
+
+// dir 1 for the next faster speed, -1 for the next slower one
+function changeSpeed(dir) {
+  var i = SPEEDS.indexOf(duration);
+  if(i < 0) i = 1;
+  setTimeSpeed(SPEEDS[Math.max(0, Math.min(SPEEDS.length - 1, i + dir))]);
+}
+
+function mirrorTool() {
+  if(tool == ')') selectTool('(');
+  else if(tool == '(') selectTool(')');
+  else if(tool == '/') selectTool('\\');
+  else if(tool == '\\') selectTool('/');
+  else if(tool == '{') selectTool('}');
+  else if(tool == '}') selectTool('{');
+}
+
+function showKeyBindings() {
+  var text = '<b>Keyboard shortcuts</b><br><br><table>';
+  for(var i = 0; i < keybindings.length; i++) {
+    text += '<tr><td style="padding-right: 20px; white-space: nowrap"><b>' + keybindings[i].label + '</b></td><td>' + keybindings[i].description + '</td></tr>';
+  }
+  text += '</table>';
+  makeHelp(text, 550, 600);
+  helpdiv.style.overflow = 'auto';
+}
+
+addKeyBinding('arrows', 'show the cell cursor, then move it', function(e) { return !e.shiftKey && e.key.indexOf('Arrow') == 0; }, function(e) {
+  moveCursor(e.key == 'ArrowLeft' ? -1 : e.key == 'ArrowRight' ? 1 : 0, e.key == 'ArrowUp' ? -1 : e.key == 'ArrowDown' ? 1 : 0);
+});
+addKeyBinding('shift+arrows', 'move the cell cursor while drawing with the selected tool, like dragging the mouse', function(e) { return e.shiftKey && e.key.indexOf('Arrow') == 0; }, function(e) {
+  moveCursor(e.key == 'ArrowLeft' ? -1 : e.key == 'ArrowRight' ? 1 : 0, e.key == 'ArrowUp' ? -1 : e.key == 'ArrowDown' ? 1 : 0, true);
+});
+addKeyBinding('enter', 'use the selected tool on the cell under the cursor, like a click', 'Enter', function() {
+  updateCursor();
+  useToolAt(cursorx, cursory);
+});
+addKeyBinding('delete', 'remove the part under the cursor, like a right click (again to put it back), or the selected parts', function(e) { return e.key == 'Delete' || e.key == 'Backspace'; }, function() {
+  if(selection) {
+    clearSelection();
+    return;
+  }
+  updateCursor();
+  removeCellAt(cursorx, cursory);
+});
+addKeyBinding('escape', 'hide the cursor and the selection, and close the dialog', 'Escape', function() {
+  hideCursor();
+  removeSelection();
+  if(helpdiv) document.body.removeChild(helpdiv);
+  helpdiv = null;
+});
+
+// the keys of the number row, in the order of toolbuttondata
+var TOOLKEYCODES = ['Backquote', 'Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8', 'Digit9', 'Digit0', 'Minus', 'Equal'];
+var TOOLKEYLABELS = ['`', '1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '-', '='];
+
+for(var i = 0; i < toolbuttondata.length && i / 2 < TOOLKEYCODES.length; i += 2) {
+  var code = TOOLKEYCODES[i / 2];
+  addKeyBinding(TOOLKEYLABELS[i / 2], 'select tool: ' + toolbuttondata[i + 1].split(/[.(]/)[0].trim(), bind(function(code, e) { return !e.shiftKey && e.code == code; }, code), bind(selectTool, toolbuttondata[i]));
+  toolbuttons[i / 2].title += ' (shortcut key "' + TOOLKEYLABELS[i / 2] + '")';
+}
+
+addKeyBinding('h', 'select the hand tool', 'h', bind(selectTool, 'h'));
+addKeyBinding('s', 'select the select tool, then shift+arrows select a rectangle from the cursor or move the selection', 's', bind(selectTool, 'select'));
+addKeyBinding('m', 'mirror the selected parts', function(e) { return e.key == 'm' && !!selection; }, mirrorSelection);
+addKeyBinding('f', 'mirror the selected ramp, bit or gear bit tool', 'f', mirrorTool);
+addKeyBinding('b', 'crank the blue lever', 'b', bind(pullLever, BLUE));
+addKeyBinding('r', 'crank the red lever', 'r', bind(pullLever, RED));
+addKeyBinding('shift+r', 'reset the marbles', 'R', reset);
+addKeyBinding('space', 'pause or continue', ' ', togglePause);
+addKeyBinding('.', 'step', '.', singleStep);
+addKeyBinding(',', 'step backwards', ',', singleBackstep);
+addKeyBinding(']', 'faster', ']', bind(changeSpeed, 1));
+addKeyBinding('[', 'slower', '[', bind(changeSpeed, -1));
+addKeyBinding('t', 'turbo: run to completion', 't', runToCompletion);
+addKeyBinding('ctrl+z', 'undo', function(e) { return e.key.toLowerCase() == 'z' && !e.shiftKey; }, function() {
+  undo();
+  resetURL();
+}, true);
+addKeyBinding('ctrl+y, ctrl+shift+z', 'redo', function(e) { return e.key.toLowerCase() == 'y' || e.key.toLowerCase() == 'z'; }, function() {
+  redo();
+  resetURL();
+}, true);
+addKeyBinding('ctrl+c', 'copy the selected parts', function(e) { return e.key == 'c' && !!selection; }, copySelection, true);
+addKeyBinding('ctrl+x', 'cut the selected parts', function(e) { return e.key == 'x' && !!selection; }, cutSelection, true);
+addKeyBinding('ctrl+v', 'paste the copied parts at the selection', function(e) { return e.key == 'v' && !!selection; }, pasteClipboard, true);
+addKeyBinding('?', 'show this list', '?', showKeyBindings);
+
+document.onkeydown = function(e) {
+  var tag = e.target && e.target.tagName;
+  // leave typing in the dialogs, and activating a focused button, to the browser
+  if(tag == 'INPUT' || tag == 'TEXTAREA' || tag == 'SELECT') return true;
+  if(tag == 'BUTTON' && (e.key == 'Enter' || e.key == ' ')) return true;
+  if(e.altKey || !e.key) return true;
+  var ctrl = e.ctrlKey || e.metaKey;
+  for(var i = 0; i < keybindings.length; i++) {
+    var binding = keybindings[i];
+    if(binding.ctrl != ctrl) continue;
+    if((typeof binding.key == 'function') ? binding.key(e) : (e.key == binding.key)) {
+      binding.fun(e);
+      e.preventDefault();
+      return false; //this overrides shortcuts in e.g. firefox (e.g. / would do quick find in firefox)
+    }
+  }
+  return true;
+};
+
+document.onkeyup = function(e) {
+  if(e.key == 'Shift') {
+    keystroke = false;
+    endSelectionMove();
+  }
+};
+
+////////////////////////////////////////////////////////////////////////////////
+
+// Image export. The image has the row of the launch ramps above the board and a
+// row with the marbles that arrived at the bottom below it, so H + 3 rows of
+// cells (rows y = -1 to H + 1). When more marbles arrived than fit in the width of
+// the board, they wrap to more half rows below.
+
+var EXPORT_TILESIZE = 32; // pixels per cell in exported PNG images
+
+// lets the browser download the given URL (data or blob URL) as a file with the given name
+function downloadURL(url, filename) {
+  var a = makeElement('a');
+  a.href = url;
+  a.download = filename;
+  a.style.display = 'none';
+  a.click();
+  document.body.removeChild(a);
+}
+
+// lets the browser download the blob as a file with the given name, and frees its URL afterwards
+function downloadBlob(blob, filename) {
+  var url = URL.createObjectURL(blob);
+  downloadURL(url, filename);
+  // not immediately, some browsers only start reading it after the click returns
+  window.setTimeout(function() { URL.revokeObjectURL(url); }, 1000);
+}
+
+// height in pixels of the exported image with the given size in pixels per cell
+function exportHeight(size) {
+  var rows = Math.max(1, Math.ceil(machine.bottommarbles.length / (2 * W)));
+  return (H + 3) * size + (rows - 1) * size / 2;
+}
+
+// center of the i-th marble that arrived at the bottom in the exported image, relative to the top left of the board.
+// In the order they arrived, from right to left like the bottom display, two per cell.
+function exportBottomMarblePos(i, size) {
+  var perrow = 2 * W;
+  return [W * size - ((i % perrow) + 0.5) * size / 2, (H + 1.5 + Math.floor(i / perrow) / 2) * size];
+}
+
+function drawTile(ctx, t, x, y, size) {
+  ctx.drawImage(tilesimage, (t % 8) * 32, Math.floor(t / 8) * 32, 32, 32, x, y, size, size);
+}
+
+// draws the full current state (board, launch ramps, rolling marbles and marbles at the bottom) on a canvas 2D context with the given size in pixels per cell
+function drawMachine(ctx, size) {
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, W * size, exportHeight(size));
+  ctx.save();
+  ctx.translate(0, size);
+  drawBoard(ctx, machine.board, W, H, size);
+  drawTile(ctx, 16, D * size, -size, size);
+  drawTile(ctx, 17, (W - D - 1) * size, -size, size);
+  for(var i = 0; i < machine.marbles.length; i++) {
+    var marble = machine.marbles[i];
+    if(marble.y < -1 || marble.y > H) continue;
+    var t = texturemap[marble.color ? 'O' : 'o'];
+    if(machine.inDanger(marble)) t += 8;
+    drawTile(ctx, t, marble.x * size, marble.y * size, size);
+  }
+  for(var i = 0; i < machine.bottommarbles.length; i++) {
+    var pos = exportBottomMarblePos(i, size);
+    ctx.fillStyle = machine.bottommarbles[i] ? 'red' : 'blue';
+    ctx.beginPath();
+    ctx.arc(pos[0], pos[1], size / 5, 0, 2 * Math.PI);
+    ctx.fill();
+  }
+  ctx.restore();
+}
+
+var exportpngwaiting = false; // whether an exportPNG waits for the tiles image to load
+
+function exportPNG() {
+  if(!tilesimage.complete) {
+    if(exportpngwaiting) return; // one download is enough, no matter how often the button was clicked
+    exportpngwaiting = true;
+    tilesimage.addEventListener('load', function() {
+      exportpngwaiting = false;
+      exportPNG();
+    });
+    return;
+  }
+  var canvas = document.createElement('canvas');
+  canvas.width = W * EXPORT_TILESIZE;
+  canvas.height = exportHeight(EXPORT_TILESIZE);
+  var ctx = canvas.getContext('2d');
+  if(!ctx) return;
+  drawMachine(ctx, EXPORT_TILESIZE);
+  downloadURL(canvas.toDataURL('image/png'), 'board.png');
+}
+
+// colors of the parts in the SVG export, similar to those in tiles.png
+var SVG_COLORS = {ramp: '#2e7d32', bit: '#1565c0', gearbit: '#6a1b9a', gear: '#c62828', crossover: '#ef6c00', interceptor: 'black', pin: '#aaa'};
+
+// returns the SVG elements for one cell with the given symbol, drawn in a 32x32 area at the origin
+function cellToSvg(c) {
+  var line = function(x0, y0, x1, y1, color, width) {
+    return '<line x1="' + x0 + '" y1="' + y0 + '" x2="' + x1 + '" y2="' + y1 + '" stroke="' + color + '" stroke-width="' + width + '" stroke-linecap="round"/>';
+  };
+  var circle = function(r, fill, opt_stroke) {
+    return '<circle cx="16" cy="16" r="' + r + '" fill="' + fill + '"' + (opt_stroke ? ' stroke="' + opt_stroke + '" stroke-width="3" stroke-dasharray="3 2"' : '') + '/>';
+  };
+  if(c == 'v' || c == 'V') return circle(3, SVG_COLORS.pin);
+  if(c == '.') return circle(1.5, SVG_COLORS.pin);
+  if(c == '\\') return line(6, 6, 26, 24, SVG_COLORS.ramp, 4) + circle(3, SVG_COLORS.ramp);
+  if(c == '/') return line(26, 6, 6, 24, SVG_COLORS.ramp, 4) + circle(3, SVG_COLORS.ramp);
+  if(c == 'x') return line(6, 6, 26, 26, SVG_COLORS.crossover, 4) + line(26, 6, 6, 26, SVG_COLORS.crossover, 4);
+  if(c == '_') return '<path d="M6 10 L8 24 L24 24 L26 10" fill="none" stroke="' + SVG_COLORS.interceptor + '" stroke-width="3"/>';
+  if(c == '(' || c == ')') return line(16, 16, (c == '(') ? 6 : 26, 28, SVG_COLORS.bit, 5) + line(16, 16, 16, 5, SVG_COLORS.bit, 3) + circle(5, SVG_COLORS.bit);
+  if(c == '{' || c == '}') return circle(11, 'none', SVG_COLORS.gearbit) + line(16, 16, (c == '{') ? 6 : 26, 28, SVG_COLORS.gearbit, 5) + circle(5, SVG_COLORS.gearbit);
+  // the two rotations of a gear, with the spokes straight or diagonal like the symbols
+  if(c == '+') return circle(11, 'none', SVG_COLORS.gear) + line(16, 7, 16, 25, SVG_COLORS.gear, 2) + line(7, 16, 25, 16, SVG_COLORS.gear, 2) + circle(4, SVG_COLORS.gear);
+  if(c == '*') return circle(11, 'none', SVG_COLORS.gear) + line(10, 10, 22, 22, SVG_COLORS.gear, 2) + line(22, 10, 10, 22, SVG_COLORS.gear, 2) + circle(4, SVG_COLORS.gear);
+  return '';
+}
+
+// returns the full current state (as drawn by drawMachine) as an SVG document
+function machineToSvg() {
+  var size = 32;
+  var height = exportHeight(size);
+  var result = '<svg xmlns="http://www.w3.org/2000/svg" width="' + (W * size) + '" height="' + height + '" viewBox="0 ' + (-size) + ' ' + (W * size) + ' ' + height + '">\n';
+  result += '<rect x="0" y="' + (-size) + '" width="' + (W * size) + '" height="' + height + '" fill="white"/>\n';
+  for(var y = 0; y < H; y++) {
+    for(var x = 0; x < W; x++) {
+      var cell = cellToSvg(machine.board[y][x]);
+      if(cell) result += '<g transform="translate(' + (x * size) + ' ' + (y * size) + ')">' + cell + '</g>\n';
+    }
+  }
+  // launch ramps
+  result += '<line x1="' + (D * size + 4) + '" y1="' + (-size + 10) + '" x2="' + (D * size + 28) + '" y2="' + (-size + 24) + '" stroke="blue" stroke-width="3"/>\n';
+  result += '<line x1="' + ((W - D) * size - 4) + '" y1="' + (-size + 10) + '" x2="' + ((W - D - 1) * size + 4) + '" y2="' + (-size + 24) + '" stroke="red" stroke-width="3"/>\n';
+  for(var i = 0; i < machine.marbles.length; i++) {
+    var marble = machine.marbles[i];
+    if(marble.y < -1 || marble.y > H) continue;
+    result += '<circle cx="' + (marble.x * size + 16) + '" cy="' + (marble.y * size + 16) + '" r="8" fill="' + (marble.color ? 'red' : 'blue') + '"' +
+              (machine.inDanger(marble) ? ' stroke="orange" stroke-width="3"' : '') + '/>\n';
+  }
+  for(var i = 0; i < machine.bottommarbles.length; i++) {
+    var pos = exportBottomMarblePos(i, size);
+    result += '<circle cx="' + pos[0] + '" cy="' + pos[1] + '" r="' + (size / 5) + '" fill="' + (machine.bottommarbles[i] ? 'red' : 'blue') + '"/>\n';
+  }
+  result += '</svg>\n';
+  return result;
+}
+
+function exportSVG() {
+  var blob = new Blob([machineToSvg()], {type: 'image/svg+xml'});
+  downloadBlob(blob, 'board.svg');
+}
+
+function showExport() {
+  makeHelp('<b>Export</b><br>Download the current board, including the state of bits and gears, the rolling marbles and the marbles at the bottom.<br><br>', 500, 100);
+  makeDialogButton(helpdiv, 'PNG image', 'download as PNG image, drawn with the same tiles as shown on screen', exportPNG);
+  makeDialogButton(helpdiv, 'SVG image', 'download as SVG vector image, which can be scaled to any size, e.g. for worksheets and slides', exportSVG);
+  makeElement('div', helpdiv).innerHTML = '<br>Trace of the marbles, recorded with the record button' + (machine.trace ? ' (' + machine.trace.length + ' entries' + (machine.tracing ? '' : ', stopped') + '):' : ' (none yet):');
+  makeDialogButton(helpdiv, 'trace JSON', 'download the recorded trace as JSON, including the board at the start of the recording', function() {
+    exportTrace('json');
+  });
+  makeDialogButton(helpdiv, 'trace CSV', 'download the recorded trace as CSV with one line per marble move, flip, output and status change', function() {
+    exportTrace('csv');
+  });
+}
+
+function exportTrace(format) {
+  if(!machine.trace) {
+    makeHelp('No trace recorded. Enable the record button, then run the board.', 400, 32);
+    return;
+  }
+  var text = (format == 'csv') ? machine.traceToCsv() : machine.traceToJson();
+  var blob = new Blob([text], {type: (format == 'csv') ? 'text/csv' : 'application/json'});
+  downloadBlob(blob, 'trace.' + format);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+// Named save slots. Kept in local storage as a JSON array of {name, state, time}, with state
+// the text from stringifyState (so it includes board size and marble counts) and time in
+// milliseconds since 1970.
+
+var SLOTS_KEY = 'jstumble_slots';
+
+function getSlots() {
+  var text = getLocalStorage(SLOTS_KEY);
+  if(!text) return [];
+  var slots;
+  try {
+    slots = JSON.parse(text);
+  } catch(e) {
+    return [];
   }
-  var c = String.fromCharCode(k).toLowerCase();
+  return (slots instanceof Array) ? slots : [];
+}
+
+function setSlots(slots) {
+  setLocalStorage(JSON.stringify(slots), SLOTS_KEY);
+}
 
-  var id = null;
-  var result = false;
-  if(!ctrl) {
-    if(c == 'f') {
-      if(tool == ')') selectTool('(');
-      else if(tool == '(') selectTool(')');
-      else if(tool == '/') selectTool('\\');
-      else if(tool == '\\') selectTool('/');
-      else if(tool == '{') selectTool('}');
-      else if(tool == '}') selectTool('{');
-    } else if(c == 'h') {
-      selectTool('h');
-    } else result = true;
+// returns index of the slot with this name, or -1
+function findSlot(slots, name) {
+  for(var i = 0; i < slots.length; i++) {
+    if(slots[i].name == name) return i;
   }
-  else result = true;
+  return -1;
+}
 
-  var button = id ? document.getElementById('button_' + id) : null;
-  if(button && button.onclick) {
-    button.onclick();
+// returns a name that is not yet used by any slot, based on the given one
+function uniqueSlotName(slots, name) {
+  if(findSlot(slots, name) < 0) return name;
+  for(var i = 2; ; i++) {
+    if(findSlot(slots, name + ' (' + i + ')') < 0) return name + ' (' + i + ')';
   }
-  else if(button && button.parentElement && button.parentElement.onclick) {
-    button.parentElement.onclick();
+}
+
+function saveSlot(name) {
+  var slots = getSlots();
+  var slot = {name: name, state: stringifyState(), time: Date.now()};
+  var i = findSlot(slots, name);
+  if(i >= 0) slots[i] = slot;
+  else slots.push(slot);
+  setSlots(slots);
+}
+
+// reloads the page with another board size, and lets it pick up the given state (see stringifyState) from local storage
+function reloadWithState(text, w, h) {
+  setLocalStorage(text, 'jstumble_board');
+  did_any_editing = false; // otherwise onbeforeunload overwrites it with the current board
+  var url = '' + window.location;
+  var q = url.indexOf('?');
+  if (q >= 0) url = url.substr(0, q);
+  window.location = url + '?w=' + w + '&h=' + h;
+}
+
+function loadSlot(slot) {
+  var state = parseStateText(slot.state);
+  if(!state) {
+    makeHelp('Cannot load "' + escapeHtml(slot.name) + '": the saved data is invalid.', 400, 32);
+    return;
+  }
+  if(state.w != W || state.h != H) {
+    // the board size is fixed while the page is open, so reload the page with the right size, and let it pick up the board from local storage
+    if(!window.confirm('Board "' + slot.name + '" has size ' + state.w + 'x' + state.h + ', the page will be reloaded with that board size. Unsaved changes to the current board are lost. Continue?')) return;
+    reloadWithState(slot.state, state.w, state.h);
+    return;
   }
+  loadBoardState(slot.state);
+}
+
+// replaces the board by a saved board or opened file, given as state text (see stringifyState), as one edit that undo
+// takes back completely. Leaves an active challenge, and removes the breakpoints since they were set for the old board.
+function loadBoardState(text) {
+  if(challenge) leaveChallenge();
+  saveUndo(true);
+  breakpoints = [];
+  lastbreak = null;
+  parseState(text);
+  updateBoard();
+  reset();
+  resetURL();
+  did_any_editing = true;
+}
+
+// draws a small picture of the board saved in the slot
+function drawSlotThumbnail(canvas, slot) {
+  var state = parseStateText(slot.state);
+  if(!state) return;
+  var m = new Machine(state.w, state.h);
+  m.loadText(state.board);
+  var size = Math.max(2, Math.floor(80 / Math.max(state.w, state.h)));
+  canvas.width = state.w * size;
+  canvas.height = state.h * size;
+  var ctx = canvas.getContext('2d');
+  if(!ctx) return;
+  if(tilesimage.complete) drawBoard(ctx, m.board, state.w, state.h, size);
+  else tilesimage.addEventListener('load', function() { drawBoard(ctx, m.board, state.w, state.h, size); });
+}
+
+// shows the dialog to manage the saved boards
+function showSlots() {
+  var slots = getSlots();
+  makeHelp('<b>Saved boards</b><br>These are stored in the local storage of this browser only.<br><br>', 600, 500);
+  helpdiv.style.overflow = 'auto';
+
+  var namefield = makeElement('input', helpdiv);
+  namefield.type = 'text';
+  namefield.value = uniqueSlotName(slots, 'board ' + (slots.length + 1));
+  var savebutton = makeElement('button', helpdiv);
+  savebutton.innerHTML = 'save current board';
+  savebutton.onclick = function() {
+    var name = namefield.value.trim();
+    if(!name) return;
+    if(findSlot(getSlots(), name) >= 0 && !window.confirm('Overwrite the saved board "' + name + '"?')) return;
+    saveSlot(name);
+    showSlots();
+  };
+
+  if(slots.length == 0) {
+    makeElement('p', helpdiv).innerHTML = 'No saved boards yet.';
+    return;
+  }
+
+  for(var i = 0; i < slots.length; i++) {
+    var slot = slots[i];
+    var state = parseStateText(slot.state);
+    var row = makeElement('div', helpdiv);
+    row.style.borderTop = '1px solid #ccc';
+    row.style.padding = '4px 0';
+    row.style.clear = 'both';
+    row.style.overflow = 'hidden';
+
+    var canvas = makeElement('canvas', row);
+    canvas.style.cssFloat = 'left';
+    canvas.style.marginRight = '10px';
+    drawSlotThumbnail(canvas, slot);
+
+    var info = makeElement('div', row);
+    var text = document.createTextNode(slot.name);
+    var b = makeElement('b', info);
+    b.appendChild(text);
+    if(state) {
+      var details = state.w + 'x' + state.h + ', marbles: ' + state.marbles;
+      if(state.fields['marbles']) details = state.w + 'x' + state.h + ', marbles: ' + state.fields['marbles'].replace('_', ' blue, ') + ' red';
+      makeElement('div', info).innerHTML = details;
+    }
+    if(slot.time) makeElement('div', info).innerHTML = 'saved ' + new Date(slot.time).toLocaleString();
+
+    var buttons = makeElement('div', info);
+    makeDialogButton(buttons, 'load', 'load this board, replacing the current one', bind(function(slot) {
+      loadSlot(slot);
+    }, slot));
+    makeDialogButton(buttons, 'rename', 'give this saved board another name', bind(function(slot) {
+      var name = window.prompt('New name for "' + slot.name + '":', slot.name);
+      if(!name || name == slot.name) return;
+      var slots = getSlots();
+      if(findSlot(slots, name) >= 0) {
+        window.alert('There is already a saved board named "' + name + '".');
+        return;
+      }
+      var i = findSlot(slots, slot.name);
+      if(i < 0) return;
+      slots[i].name = name;
+      setSlots(slots);
+      showSlots();
+    }, slot));
+    makeDialogButton(buttons, 'duplicate', 'make a copy of this saved board under a new name', bind(function(slot) {
+      var slots = getSlots();
+      var i = findSlot(slots, slot.name);
+      if(i < 0) return;
+      var copy = clone(slots[i]);
+      copy.name = uniqueSlotName(slots, slot.name + ' copy');
+      copy.time = Date.now();
+      slots.splice(i + 1, 0, copy);
+      setSlots(slots);
+      showSlots();
+    }, slot));
+    makeDialogButton(buttons, 'delete', 'remove this saved board', bind(function(slot) {
+      if(!window.confirm('Delete the saved board "' + slot.name + '"?')) return;
+      var slots = getSlots();
+      var i = findSlot(slots, slot.name);
+      if(i < 0) return;
+      slots.splice(i, 1);
+      setSlots(slots);
+      showSlots();
+    }, slot));
+  }
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/*
+Board files: download and upload of the board as a .tumble file. This is a JSON
+object with the fields:
+format: always 'tumble'
+version: TUMBLE_VERSION, files of a newer version are refused
+title, description, author: strings, can be empty
+width, height: the board size
+board: array of height strings of width symbols, as in Machine.toText
+marbles: {blue, red} amounts of marbles, numbers or 'unlimited'
+locked: the lock code (see Machine.getLockCode), optional
+registers: the registers, as in the registers variable, optional
+bitlabels: array of {x, y, label}, names of bits, shown as tooltip on the board
+expected: the expected marbles at the bottom, such as 'brrb' (b = blue, r = red),
+ compared with the result by the turbo button, can be empty
+The title, description, author, bit labels and expected output are kept in
+boardinfo, which is saved along with the board by stringifyState.
+*/
+
+var TUMBLE_VERSION = 1;
+
+function emptyBoardInfo() {
+  return {title: '', description: '', author: '', bitlabels: [], expected: ''};
+}
+
+var boardinfo = emptyBoardInfo();
+
+function boardInfoIsEmpty(info) {
+  return !info.title && !info.description && !info.author && !info.bitlabels.length && !info.expected;
+}
+
+// parses the info field of stringifyState
+function boardInfoFromText(text) {
+  var info = emptyBoardInfo();
+  var parsed;
+  try {
+    parsed = JSON.parse(decodeURIComponent(text));
+  } catch(e) {
+    return info;
+  }
+  if(!parsed || typeof(parsed) != 'object') return info;
+  for(var name in info) {
+    if(typeof(parsed[name]) == typeof(info[name]) && (parsed[name] instanceof Array) == (info[name] instanceof Array)) info[name] = parsed[name];
+  }
+  return info;
+}
+
+// returns the label of the bit at this cell, or ''
+function bitLabel(x, y) {
+  for(var i = 0; i < boardinfo.bitlabels.length; i++) {
+    if(boardinfo.bitlabels[i].x == x && boardinfo.bitlabels[i].y == y) return boardinfo.bitlabels[i].label;
+  }
+  return '';
+}
 
-  return result; //this overrides shortcuts in e.g. firefox (e.g. / would do quick find in firefox)
+function marbleCountToJSON(count) {
+  return (count == Infinity) ? 'unlimited' : count;
 }
 
+function boardToTumbleFile() {
+  var board = machine.toText((machine.status != STATUS_CRANK && undoboard2 && undoboard2.length == H) ? undoboard2 : machine.board).split('\n');
+  board.pop(); // after the last newline
+  var file = {
+    format: 'tumble',
+    version: TUMBLE_VERSION,
+    title: boardinfo.title,
+    description: boardinfo.description,
+    author: boardinfo.author,
+    width: W,
+    height: H,
+    board: board,
+    marbles: {blue: marbleCountToJSON(machine.totalblue), red: marbleCountToJSON(machine.totalred)}
+  };
+  if(machine.hasLocks()) file.locked = machine.getLockCode();
+  if(registers.length) file.registers = registers;
+  file.bitlabels = boardinfo.bitlabels;
+  file.expected = boardinfo.expected;
+  return JSON.stringify(file, null, 1);
+}
+
+function downloadTumbleFile() {
+  var name = boardinfo.title.replace(/[^\w\- ]/g, '').trim() || 'board';
+  var blob = new Blob([boardToTumbleFile()], {type: 'application/json'});
+  downloadBlob(blob, name + '.tumble');
+}
+
+// whether the cell is a list [x, y] inside a board of size w, h
+function isFileCell(cell, w, h) {
+  return (cell instanceof Array) && cell.length == 2 && cell[0] >= 0 && cell[0] < w && cell[1] >= 0 && cell[1] < h && cell[0] % 1 == 0 && cell[1] % 1 == 0;
+}
+
+/*
+Parses the text of a .tumble file. Returns an object {w, h, state, info}, with
+state the text for parseState (as made by stringifyState) and info the
+boardinfo, or {error} with the reason why the file is invalid.
+*/
+function parseTumbleFile(text) {
+  var data;
+  try {
+    data = JSON.parse(text);
+  } catch(e) {
+    return {error: 'This is not a .tumble file: it is not valid JSON (' + e.message + ').'};
+  }
+  if(!data || typeof(data) != 'object' || data.format != 'tumble') return {error: 'This is not a .tumble file: the "format" field is missing.'};
+  if(typeof(data.version) != 'number' || data.version < 1) return {error: 'The "version" field is missing or invalid.'};
+  if(data.version > TUMBLE_VERSION) return {error: 'The file has format version ' + data.version + ', which is newer than this program supports (up to version ' + TUMBLE_VERSION + ').'};
+  var w = data.width, h = data.height;
+  var size = validBoardSize(w, h);
+  if(typeof(w) != 'number' || typeof(h) != 'number' || size[0] != w || size[1] != h) {
+    return {error: 'Invalid board size ' + w + 'x' + h + ': the width must be odd, from ' + MINW + ' to ' + MAXSIZE + ', the height from ' + MINH + ' to ' + MAXSIZE + '.'};
+  }
+  if(!(data.board instanceof Array) || data.board.length != h) return {error: 'The "board" field must be a list of ' + h + ' rows.'};
+  for(var y = 0; y < h; y++) {
+    var row = data.board[y];
+    if(typeof(row) != 'string' || row.length != w) return {error: 'Row ' + y + ' of the board must be text of ' + w + ' symbols.'};
+    for(var x = 0; x < w; x++) {
+      var c = row[x];
+      if(c != ' ' && c != '.' && c != 'v' && c != 'V' && !partType(c)) return {error: 'The board has an invalid symbol "' + c + '" at x=' + x + ', y=' + y + '.'};
+    }
+  }
+  var m = new Machine(w, h);
+  m.loadText(data.board.join('\n'));
+  var marbles = data.marbles || {};
+  var counts = [marbles.blue, marbles.red];
+  for(var i = 0; i < 2; i++) {
+    if(counts[i] == 'unlimited') counts[i] = Infinity;
+    else if(typeof(counts[i]) != 'number' || counts[i] < 0 || counts[i] % 1 != 0) return {error: 'The "marbles" field must have the amounts of blue and red marbles, as numbers or "unlimited".'};
+  }
+  m.totalblue = m.numblue = counts[0];
+  m.totalred = m.numred = counts[1];
+  if(data.locked != undefined) {
+    if(typeof(data.locked) != 'string' || !(/^[0-9a-f]*$/).test(data.locked)) return {error: 'The "locked" field is not a valid lock code.'};
+    m.loadLockCode(data.locked);
+  }
+  var fileregisters = data.registers || [];
+  if(!(fileregisters instanceof Array)) return {error: 'The "registers" field must be a list.'};
+  for(var i = 0; i < fileregisters.length; i++) {
+    var r = fileregisters[i];
+    if(!r || typeof(r.name) != 'string' || !(r.cells instanceof Array)) return {error: 'Register ' + (i + 1) + ' must have a name and a list of cells.'};
+    for(var j = 0; j < r.cells.length; j++) {
+      if(!isFileCell(r.cells[j], w, h)) return {error: 'Register "' + r.name + '" has a cell outside of the board.'};
+    }
+    if(r.weights != undefined && (!(r.weights instanceof Array) || r.weights.length != r.cells.length)) return {error: 'Register "' + r.name + '" must have one weight per cell.'};
+    for(var j = 0; r.weights && j < r.weights.length; j++) {
+      if(typeof(r.weights[j]) != 'number' || !isFinite(r.weights[j])) return {error: 'The weights of register "' + r.name + '" must be numbers.'};
+    }
+  }
+  var info = emptyBoardInfo();
+  var names = ['title', 'description', 'author', 'expected'];
+  for(var i = 0; i < names.length; i++) {
+    var v = data[names[i]];
+    if(v == undefined) continue;
+    if(typeof(v) != 'string') return {error: 'The "' + names[i] + '" field must be text.'};
+    info[names[i]] = v;
+  }
+  if(!(/^[br]*$/).test(info.expected)) return {error: 'The "expected" field must only have the letters b and r, for blue and red marbles.'};
+  var labels = data.bitlabels || [];
+  if(!(labels instanceof Array)) return {error: 'The "bitlabels" field must be a list.'};
+  for(var i = 0; i < labels.length; i++) {
+    var l = labels[i];
+    if(!l || !isFileCell([l.x, l.y], w, h) || typeof(l.label) != 'string') return {error: 'Bit label ' + (i + 1) + ' must have x and y on the board and a label.'};
+    info.bitlabels.push({x: l.x, y: l.y, label: l.label});
+  }
+  return {w: w, h: h, state: stringifyState(m, fileregisters, info), info: info};
+}
+
+function loadTumbleFile(text) {
+  var file = parseTumbleFile(text);
+  if(file.error) {
+    makeHelp('<b>Cannot open the file</b><br><br>', 500, 64);
+    helpdiv.appendChild(document.createTextNode(file.error));
+    return;
+  }
+  if(file.w != W || file.h != H) {
+    // like loadSlot, the page is reloaded for another board size
+    if(!window.confirm('This board has size ' + file.w + 'x' + file.h + ', the page will be reloaded with that board size. Unsaved changes to the current board are lost. Continue?')) return;
+    reloadWithState(file.state, file.w, file.h);
+    return;
+  }
+  loadBoardState(file.state);
+  showBoardFile();
+}
+
+function readTumbleFile(f) {
+  var reader = new FileReader();
+  reader.onload = function() {
+    loadTumbleFile(reader.result);
+  };
+  reader.onerror = function() {
+    makeHelp('Cannot read the file "' + escapeHtml(f.name) + '".', 400, 32);
+  };
+  reader.readAsText(f);
+}
+
+// parses the bit labels text field of showBoardFile, one "x,y label" per line. Returns null if a line is invalid.
+function parseBitLabels(text) {
+  var result = [];
+  var lines = text.split('\n');
+  for(var i = 0; i < lines.length; i++) {
+    if(!lines[i].trim()) continue;
+    var match = /^\s*(\d+)\s*,\s*(\d+)\s+(.*\S)\s*$/.exec(lines[i]);
+    if(!match || !isFileCell([parseInt(match[1], 10), parseInt(match[2], 10)], W, H)) return null;
+    result.push({x: parseInt(match[1], 10), y: parseInt(match[2], 10), label: match[3]});
+  }
+  return result;
+}
+
+// shows the dialog with the board information, and to download or open .tumble files
+function showBoardFile() {
+  makeHelp('<b>Board file</b><br>Download the board as a .tumble file with the information below, to share it or open it later. Open one with the button, or drop it on the page.<br><br>', 500, 450);
+  helpdiv.style.overflow = 'auto';
+  var fields = {};
+  var names = ['title', 'author', 'description', 'expected', 'bitlabels'];
+  var captions = ['title', 'author', 'description', 'expected marbles at the bottom, as b and r, e.g. "brrb" (checked by turbo)', 'bit labels, one per line as "x,y label", shown as tooltip of the bit'];
+  for(var i = 0; i < names.length; i++) {
+    var row = makeElement('div', helpdiv);
+    row.innerHTML = captions[i] + ':<br>';
+    var multiline = names[i] == 'description' || names[i] == 'bitlabels';
+    var field = makeElement(multiline ? 'textarea' : 'input', row);
+    if(multiline) field.rows = 3;
+    field.style.width = '450px';
+    if(names[i] == 'bitlabels') {
+      var lines = [];
+      for(var j = 0; j < boardinfo.bitlabels.length; j++) lines.push(boardinfo.bitlabels[j].x + ',' + boardinfo.bitlabels[j].y + ' ' + boardinfo.bitlabels[j].label);
+      field.value = lines.join('\n');
+    } else {
+      field.value = boardinfo[names[i]];
+    }
+    fields[names[i]] = field;
+  }
+  var error = makeElement('div', helpdiv);
+  error.style.color = 'red';
+  var buttons = makeElement('div', helpdiv);
+  buttons.style.marginTop = '8px';
+  // returns whether the fields are valid
+  var apply = function() {
+    var labels = parseBitLabels(fields.bitlabels.value);
+    var expected = fields.expected.value.trim();
+    if(!labels) error.innerHTML = 'Invalid bit labels, use one "x,y label" per line with x and y on the board.';
+    else if(!(/^[br]*$/).test(expected)) error.innerHTML = 'The expected marbles must only have the letters b and r.';
+    else error.innerHTML = '';
+    if(error.innerHTML) return false;
+    boardinfo = {title: fields.title.value.trim(), description: fields.description.value, author: fields.author.value.trim(), bitlabels: labels, expected: expected};
+    updateBoard();
+    did_any_editing = true;
+    return true;
+  };
+  makeDialogButton(buttons, 'apply', 'keep this information with the board', apply);
+  makeDialogButton(buttons, 'download .tumble', 'download the board with this information as a .tumble file', function() {
+    if(apply()) downloadTumbleFile();
+  });
+  var file = makeElement('input', buttons);
+  file.type = 'file';
+  file.accept = '.tumble,application/json';
+  file.title = 'open a .tumble file, replacing the current board';
+  file.onchange = function() {
+    if(file.files && file.files[0]) readTumbleFile(file.files[0]);
+  };
+}
+
+// .tumble files can be dropped anywhere on the page
+document.addEventListener('dragover', function(e) {
+  if(!e.dataTransfer || Array.prototype.indexOf.call(e.dataTransfer.types || [], 'Files') < 0) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'copy';
+});
+
+document.addEventListener('drop', function(e) {
+  if(!e.dataTransfer || !e.dataTransfer.files || !e.dataTransfer.files.length) return;
+  e.preventDefault();
+  readTumbleFile(e.dataTransfer.files[0]);
+});
+
 function clearLocalStoredBoard() {
   clearLocalStorage('jstumble_board');
   did_any_editing = false;
@@ -1712,9 +4253,8 @@ var loaded = false;
 var autostart = false;
 
 if(!loaded && urlstring) {
-  loadFromUrl(urlstring);
+  machine.loadUrlCode(urlstring);
   hasurlcode = true;
-  bally = H + 2;
   loaded = true;
 }
 
@@ -1722,33 +4262,23 @@ if(!loaded) {
   var text = getLocalStorage('jstumble_board') || '';
   if(text && parseState(text)) {
     loaded = true;
-    bally = H + 2;
   }
 }
 
 if(!loaded) {
-  if(W == 11 && H == 11) {
-    board = loadFromText(startboard);
+  if(loadDemo(startboard, true)) {
     loaded = true;
     //numblue--;
-    bally = -2;
+    machine.crank(BLUE);
     autostart = true;
   }
 }
 
-if(!loaded) {
-  for(var y = 0; y < H; y++) {
-    board[y] = [];
-    for(var x = 0; x < W; x++) {
-      board[y][x] = getEmpty(x, y);
-    }
-  }
-  loaded = true;
-}
-
 initBoardDivs();
 initBallDiv();
+updateLayout();
 updateCounters();
 updateBallCount();
 updateTimeButtonBorders();
+recordTimeline('start');
 if(autostart) move();
@@ -0,0 +1,1363 @@
+
+/*
+Headless simulation engine of the Turing Tumble emulator. This file has no DOM
+dependencies: it is loaded with a script tag before index.js in the browser,
+and can be loaded with require('./machine.js') in Node, for example to test
+puzzle solutions or to evaluate boards in batch.
+
+The board uses the same ASCII symbols as described at the top of index.js.
+
+Example usage in Node:
+
+var tumble = require('./machine.js');
+var m = new tumble.Machine(11, 11, 20);
+m.loadText(sometext);
+m.crank(tumble.BLUE);
+m.run(10000);
+console.log(m.bottommarbles, m.status);
+*/
+
+var BLUE = 0; // enum constant
+var RED = 1; // enum constant
+
+var STATUS_CRANK = 0; // the initial state: balls not started yet, must crank a lever to begin
+var STATUS_ROLLING = 1; // actively rolling
+var STATUS_INTERCEPTED = 2; // ball is in interceptor so stopped
+var STATUS_NOBLUE = 3; // ran out of blue balls so stopped
+var STATUS_NORED = 4; // ran out of red balls so stopped
+var STATUS_LOOPING = 5; // the full state repeated, so the marbles would keep going in the same cycle forever (only possible with unlimited marbles), see Machine.cycle
+
+var STATUS_NAMES = ['crank', 'rolling', 'intercepted', 'noblue', 'nored', 'looping']; // names of the statuses in traces, by status value
+var COLOR_NAMES = ['blue', 'red']; // names of the marble colors in traces
+
+// Marble counts can be Infinity for unlimited marbles. These convert counts to and from text, with 'u' for unlimited, for URL codes and saved states.
+function marbleCountToText(n) {
+  return (n == Infinity) ? 'u' : ('' + n);
+}
+
+function parseMarbleCount(text) {
+  return (text == 'u') ? Infinity : parseInt(text, 10);
+}
+
+// 32-bit hash of the symbol c at cell index i (y * w + x). The hash of a board is the xor of those of all its cells, so
+// that flipping a few cells updates it without going over the whole board.
+function cellHash(i, c) {
+  var h = Math.imul(i * 128 + c.charCodeAt(0), 0x9e3779b1);
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+  return h ^ (h >>> 13);
+}
+
+// with physics enabled, a landing is ambiguous if the marble comes down closer than this to the middle between two cells
+var FALL_AMBIGUITY = 0.15;
+
+/*
+Horizontal distance a marble in free fall covers during the k-th row of its fall
+(k starting at 1), with physics enabled. A marble leaving a part diagonally moves
+1 cell sideways and 1 cell down per unit of time. In free fall its horizontal
+speed stays the same while gravity speeds up its fall, the vertical speed after
+falling k rows is sqrt(2k + 1) in those units (choosing the gravity such that it
+doubles the vertical kinetic energy over one row). So the time spent in the k-th
+row, and with that the horizontal distance, is sqrt(2k + 1) - sqrt(2k - 1):
+0.73, 0.50, 0.41, 0.36, ... giving a parabolic path.
+*/
+function fallDrift(k) {
+  return Math.sqrt(2 * k + 1) - Math.sqrt(2 * k - 1);
+}
+
+// returns the type of the part with the given board symbol, or null if it is not a part
+function partType(c) {
+  if(c == '/' || c == '\\' || c == '%') return 'ramp';
+  if(c == 'x') return 'crossover';
+  if(c == '_') return 'interceptor';
+  if(c == '(' || c == ')') return 'bit';
+  if(c == '{' || c == '}') return 'gearbit';
+  if(c == '*' || c == '+') return 'gear';
+  return null;
+}
+
+function clone(obj) {
+  // Handle the 3 simple types, and null or undefined
+  if(null == obj || "object" != typeof obj) return obj;
+
+  // Handle Array
+  if(obj instanceof Array) {
+    var copy = [];
+    for (var i = 0, len = obj.length; i < len; i++) {
+        copy[i] = clone(obj[i]);
+    }
+    return copy;
+  }
+
+  // Handle Object
+  if (obj instanceof Object) {
+    var copy = new obj.constructor(); //This makes it also have the correct prototype
+    for(var attr in obj) {
+      if(obj.hasOwnProperty(attr)) copy[attr] = clone(obj[attr]);
+    }
+    return copy;
+  }
+
+  throw new Error("Cloning this object not supported.");
+}
+
+// x of the blue launch ramp (at y=-1) for a board of width w, the red one is mirrored.
+// The widths of the form 11+4*N that were the only ones allowed before keep their
+// original floor(w/4), so that saved boards of those sizes keep their pins. Other
+// widths round to even so that the marbles land on full pins.
+function launchRampOffset(w) {
+  if(w % 4 == 3) return Math.floor(w / 4);
+  return Math.floor(w / 8) * 2;
+}
+
+// w must be odd and at least 7, h at least 5. The standard board is 11x11.
+function Machine(w, h, opt_marbles) {
+  var marbles = (opt_marbles == undefined) ? 20 : opt_marbles;
+  this.w = w;
+  this.h = h;
+  this.d = launchRampOffset(w);
+
+  this.board = [];
+  for(var y = 0; y < h; y++) {
+    this.board[y] = [];
+    for(var x = 0; x < w; x++) {
+      this.board[y][x] = this.getEmpty(x, y);
+    }
+  }
+
+  // num on top
+  this.numblue = marbles;
+  this.numred = marbles;
+  // num on entire board (virtually, as some may have disappeared)
+  this.totalblue = marbles;
+  this.totalred = marbles;
+
+  // marbles rolling on the board, each an object {id, x, y, velx, color, invelx, fall, fx, ambiguous}, see makeMarble
+  this.marbles = [];
+  this.nextid = 0;
+
+  // if true, a marble leaving a part with momentum onto an empty pin follows a parabolic path instead of falling straight down, see fallDrift
+  this.physics = false;
+  // cells where a marble landed in a way that can go either way on the real board, only with physics enabled
+  this.ambiguous = [];
+  this.nondeterministic = false;
+
+  this.bottommarbles = []; // 0 for blue, 1 for red
+  this.status = STATUS_CRANK;
+  this.history = []; // for stepping backwards in time, see step()
+  // for cycle detection: the state key (see getStateKey) after each step since the last reset or board edit, to {steps, nbottom}: the
+  // amount of steps and bottom marbles at that time. seenkeys[s - 1] is the key added after step s, seenboard a copy of the board
+  // as of the last step to notice edits, and boardhash the hash of that board. See forgetSeen.
+  this.forgetSeen();
+  // if the status is STATUS_LOOPING: {length, outputs} with the amount of steps of the cycle and the marble colors that arrive at the bottom during one cycle
+  this.cycle = null;
+
+  // while tracing is true, everything that happens is appended to the array trace, see startTrace. The trace is kept after stopping until the next start.
+  this.tracing = false;
+  this.trace = null;
+  this.traceboard = '';
+
+  // locked[y][x] is true for cells that cannot be edited (for example the pre-placed parts of a puzzle). Marbles still flip locked bits and gears.
+  this.clearLocks();
+}
+
+// returns the symbol an empty cell has at this position: ' ' if no pin, '.' for gear-only pin, 'v' or 'V' for full pin
+Machine.prototype.getEmpty = function(x, y) {
+  var W = this.w, H = this.h, D = this.d;
+  if(x + y < D) return ' ';
+  if((W - 1 - x) + y < D) return ' ';
+
+  if(x - y - D > 2 && (W - x) - D - 1 - y > 2) return ' ';
+
+  if(x != ((W-1)/2) && y >= (H - 1)) return ' ';
+  if((x == D || x == W - 1 - D) && y % 4 == 3 && y < H - 1 && x % 2 != y % 2) return 'V';
+  return (x  % 2 == y % 2) ? '.' : 'v';
+};
+
+Machine.prototype.isEmpty = function(x, y) {
+  var c = this.board[y][x];
+  return c == ' ' || c == '.' || c == 'v' || c == 'V';
+};
+
+// parses ASCII art into a new board array, without changing the machine. Returns null if no text given.
+Machine.prototype.parseText = function(s) {
+  if(!s) return null;
+  var board = [];
+  var spos = 0;
+  for(var y = 0; y < this.h; y++) {
+    while(s.charCodeAt(spos) < 32) spos++;
+    board[y] = [];
+    for(var x = 0; x < this.w; x++) {
+      var c = s[spos];
+      if(c == ' ' || c == '.' || c == 'v' || c == 'V') c = this.getEmpty(x, y);
+      if(c == '%') c = '\\';
+      board[y][x] = c;
+      spos++;
+    }
+  }
+  return board;
+};
+
+// sets the board from ASCII art, returns false if nothing was given. This also unlocks all cells, as the ASCII art has no locks.
+Machine.prototype.loadText = function(s) {
+  var board = this.parseText(s);
+  if(!board) return false;
+  this.board = board;
+  this.clearLocks();
+  return true;
+};
+
+Machine.prototype.clearLocks = function() {
+  this.locked = [];
+  for(var y = 0; y < this.h; y++) {
+    this.locked[y] = [];
+    for(var x = 0; x < this.w; x++) this.locked[y][x] = false;
+  }
+};
+
+Machine.prototype.isLocked = function(x, y) {
+  return !!this.locked[y] && !!this.locked[y][x];
+};
+
+Machine.prototype.setLocked = function(x, y, value) {
+  this.locked[y][x] = !!value;
+};
+
+Machine.prototype.hasLocks = function() {
+  for(var y = 0; y < this.h; y++) {
+    for(var x = 0; x < this.w; x++) {
+      if(this.locked[y][x]) return true;
+    }
+  }
+  return false;
+};
+
+// returns the locks as a string of hex digits, each giving the lock flags of 4 cells (row by row, the first cell in the lowest bit), or an empty string if no cell is locked
+Machine.prototype.getLockCode = function() {
+  if(!this.hasLocks()) return '';
+  var result = '';
+  var n = this.w * this.h;
+  for(var i = 0; i < n; i += 4) {
+    var v = 0;
+    for(var j = 0; j < 4 && i + j < n; j++) {
+      var x = (i + j) % this.w;
+      var y = Math.floor((i + j) / this.w);
+      if(this.locked[y][x]) v |= (1 << j);
+    }
+    result += v.toString(16);
+  }
+  return result;
+};
+
+// sets the locks from a string made by getLockCode
+Machine.prototype.loadLockCode = function(code) {
+  this.clearLocks();
+  var n = this.w * this.h;
+  for(var i = 0; i < code.length && i * 4 < n; i++) {
+    var v = parseInt(code[i], 16) || 0;
+    for(var j = 0; j < 4 && i * 4 + j < n; j++) {
+      var x = (i * 4 + j) % this.w;
+      var y = Math.floor((i * 4 + j) / this.w);
+      this.locked[y][x] = !!(v & (1 << j));
+    }
+  }
+};
+
+// returns the ASCII art of the given board, or of the machine's board if none given
+Machine.prototype.toText = function(opt_board) {
+  var board = opt_board || this.board;
+  var s = '';
+  for(var y = 0; y < this.h; y++) {
+    for(var x = 0; x < this.w; x++) {
+      s += board[y][x];
+    }
+    s += '\n';
+  }
+  return s;
+};
+
+// loads the compact code used in the ?board= URL parameter, including the marble counts and locks if present
+Machine.prototype.loadUrlCode = function(url) {
+  var parts = url.split('_');
+  // the locks are an optional last part starting with L, followed by the code of getLockCode
+  var locks = '';
+  if(parts.length > 1 && parts[parts.length - 1][0] == 'L') locks = parts.pop().substr(1);
+  this.loadLockCode(locks);
+  var s = parts[0];
+  this.numblue = parts.length > 1 ? parseMarbleCount(parts[1]) : 20;
+  this.numred = parts.length > 2 ? parseMarbleCount(parts[2]) : 20;
+  this.totalblue = this.numblue;
+  this.totalred = this.numred;
+
+  s = s.replace(/f/g, 'eee');
+  s = s.replace(/z/g, 'eeeeeeeee');
+  var spos = 0;
+  for(var y = 0; y < this.h; y++) {
+    this.board[y] = [];
+    for(var x = 0; x < this.w; x++) {
+      var c = s[spos];
+      var e = this.getEmpty(x, y);
+
+      if(e == ' ') { this.board[y][x] = e; continue; }
+      else if(e == '.' && c == 'g') c = '*';
+      else if(e == '.' && c != 'g') { this.board[y][x] = e; continue; }
+      else if(c == 'r') c = '\\';
+      else if(c == 'l') c = '/';
+      else if(c == 'i') c = '_';
+      else if(c == 'x') c = 'x';
+      else if(c == '0') c = '(';
+      else if(c == '1') c = ')';
+      else if(c == 'a') c = '{';
+      else if(c == 'b') c = '}';
+      else if(c == 'c') c = '*';
+      else c = e;
+      this.board[y][x] = c;
+      spos++;
+    }
+  }
+};
+
+Machine.prototype.toUrlCode = function() {
+  var result = '';
+  for(var y = 0; y < this.h; y++) {
+    for(var x = 0; x < this.w; x++) {
+      var e = this.getEmpty(x, y);
+      var c = this.board[y][x];
+
+      if(e == ' ') continue;
+      else if(e == '.' && c == '*') c = 'g';
+      else if(e == '.' && c == '+') c = 'g';
+      else if(e == '.' && c != '*' && c != '+') continue;
+      else if(c == '\\') c = 'r';
+      else if(c == '/') c = 'l';
+      else if(c == '_') c = 'i';
+      else if(c == 'x') c = 'x';
+      else if(c == '(') c = '0';
+      else if(c == ')') c = '1';
+      else if(c == '{') c = 'a';
+      else if(c == '}') c = 'b';
+      else if(c == '*') c = 'c';
+      else if(c == '+') c = 'c';
+      else c = 'e';
+      result += c;
+    }
+  }
+  result = result.replace(/eeeeeeeee/g, 'z');
+  result = result.replace(/eee/g, 'f');
+  if(this.numblue != 20 || this.numred != 20) result += '_' + marbleCountToText(this.numblue) + '_' + marbleCountToText(this.numred);
+  if(this.hasLocks()) result += '_L' + this.getLockCode();
+  return result;
+};
+
+Machine.prototype.setMarblesDefault = function(num) {
+  this.numblue = num;
+  this.numred = num;
+  this.totalblue = num;
+  this.totalred = num;
+};
+
+// returns list of [x, y] of all gears and gear bits connected to the given one
+Machine.prototype.getGearGroup = function(x0, y0) {
+  var stack = [[x0, y0]];
+  var seen = {};
+  var all = [];
+  while(stack.length > 0) {
+    var x = stack[stack.length - 1][0];
+    var y = stack[stack.length - 1][1];
+    stack.pop();
+    seen['' + x + ',' + y] = true;
+    all.push([x, y]);
+    for(var i = 0; i < 4; i++) {
+      var x2 = (i == 0 ? (x + 1) : (i == 2 ? (x - 1) : x));
+      var y2 = (i == 1 ? (y + 1) : (i == 3 ? (y - 1) : y));
+      if(x2 < 0 || x2 >= this.w || y2 < 0 || y2 >= this.h) continue;
+      var c = this.board[y2][x2];
+      if(!(c == '}' || c == '{' || c == '*' || c == '+')) continue;
+      if(seen['' + x2 + ',' + y2]) continue;
+      seen['' + x2 + ',' + y2] = true;
+      stack.push([x2, y2]);
+    }
+  }
+  return all;
+};
+
+// toggles the whole gear group, returns list of [x, y] of the changed cells
+Machine.prototype.toggleGear = function(x0, y0) {
+  var all = this.getGearGroup(x0, y0);
+  for(var i = 0; i < all.length; i++) {
+    var x = all[i][0];
+    var y = all[i][1];
+    if(this.board[y][x] == '{') this.board[y][x] = '}';
+    else if(this.board[y][x] == '}') this.board[y][x] = '{';
+    else if(this.board[y][x] == '*') this.board[y][x] = '+';
+    else if(this.board[y][x] == '+') this.board[y][x] = '*';
+  }
+  return all;
+};
+
+// make all gears in this group point to the same side, because a group doesn't work
+// if two gears point in a different direction, they get stuck. Returns list of [x, y] of the changed cells.
+Machine.prototype.fixGearGroup = function(x0, y0) {
+  var all = this.getGearGroup(x0, y0);
+  var changed = [];
+  var symbol = 'x';
+  if(this.board[y0][x0] == '}') symbol = '}';
+  if(this.board[y0][x0] == '{') symbol = '{';
+  for(var i = 0; i < all.length; i++) {
+    var x = all[i][0];
+    var y = all[i][1];
+    if(this.board[y][x] == '{' || this.board[y][x] == '}') {
+      if(symbol == 'x') symbol = this.board[y][x];
+      if(this.board[y][x] != symbol) {
+        this.board[y][x] = symbol;
+        changed.push([x, y]);
+      }
+    }
+  }
+  return changed;
+};
+
+/*
+Returns a copy of the machine with a board of another size, for resizing the
+board without losing parts. The parts are shifted by an even amount in x and y so
+that they stay on the same kind of pin. This prefers keeping them at the middle
+of the top of the board, else the smallest shift that fits all parts (the space
+between the launch ramps is not the same for every width). Locks and marble counts are copied too. Returns an
+object with fields machine (the new Machine), dx and dy (the shift) and lost
+(list of [x, y] of the parts that did not fit on the new board and were left
+out, empty if possible).
+*/
+Machine.prototype.convertSize = function(w, h) {
+  var target = new Machine(w, h);
+  var parts = [];
+  var minx = Infinity, maxx = -1, miny = Infinity, maxy = -1;
+  for(var y = 0; y < this.h; y++) {
+    for(var x = 0; x < this.w; x++) {
+      var t = partType(this.board[y][x]);
+      if(!t) continue;
+      parts.push([x, y, t]);
+      minx = Math.min(minx, x);
+      maxx = Math.max(maxx, x);
+      miny = Math.min(miny, y);
+      maxy = Math.max(maxy, y);
+    }
+  }
+  // whether all parts fit with this shift
+  var fits = function(dx, dy) {
+    for(var i = 0; i < parts.length; i++) {
+      var e = target.getEmpty(parts[i][0] + dx, parts[i][1] + dy);
+      if(e == ' ' || (e == '.' && parts[i][2] != 'gear')) return false;
+    }
+    return true;
+  };
+  var center = 2 * Math.round((w - this.w) / 4);
+  // tries the shifts in order of distance from (center, 0), preferring sideways over up or down
+  var maxdist = 2 * (w + h + this.w + this.h);
+  for(var dist = 0; dist <= maxdist; dist += 2) {
+    for(var ady = 0; ady <= dist; ady += 2) {
+      for(var k = 0; k < 4; k++) {
+        var dy = (k & 1) ? -ady : ady;
+        var dx = center + ((k & 2) ? -(dist - ady) : (dist - ady));
+        if(minx + dx < 0 || maxx + dx >= w || miny + dy < 0 || maxy + dy >= h) continue;
+        if(fits(dx, dy)) return this.shiftedCopy(w, h, dx, dy);
+      }
+    }
+  }
+  return this.shiftedCopy(w, h, center, 0);
+};
+
+// returns a copy of the machine with a board of the given size and the parts moved by dx, dy, see convertSize
+Machine.prototype.shiftedCopy = function(w, h, dx, dy) {
+  var m = new Machine(w, h);
+  m.numblue = this.numblue;
+  m.numred = this.numred;
+  m.totalblue = this.totalblue;
+  m.totalred = this.totalred;
+  m.physics = this.physics;
+  var lost = [];
+  for(var y = 0; y < this.h; y++) {
+    for(var x = 0; x < this.w; x++) {
+      var t = partType(this.board[y][x]);
+      if(!t) continue;
+      var x2 = x + dx, y2 = y + dy;
+      var e = (x2 >= 0 && x2 < w && y2 >= 0 && y2 < h) ? m.getEmpty(x2, y2) : ' ';
+      if(e == ' ' || (e == '.' && t != 'gear')) {
+        lost.push([x, y]);
+        continue;
+      }
+      m.board[y2][x2] = this.board[y][x];
+      if(this.isLocked(x, y)) m.setLocked(x2, y2, true);
+    }
+  }
+  return {machine: m, dx: dx, dy: dy, lost: lost};
+};
+
+// returns a copy of the machine mirrored left to right, in the same format as shiftedCopy. Ramps, bits and gear bits point
+// to the other side, and since the launch ramps swap sides too, so do the amounts of blue and red marbles. Locks are not
+// copied: locked parts must stay in place, so a board with locks is not mirrored.
+Machine.prototype.mirroredCopy = function() {
+  var m = new Machine(this.w, this.h);
+  m.numblue = this.numred;
+  m.numred = this.numblue;
+  m.totalblue = this.totalred;
+  m.totalred = this.totalblue;
+  m.physics = this.physics;
+  var lost = [];
+  for(var y = 0; y < this.h; y++) {
+    for(var x = 0; x < this.w; x++) {
+      var c = this.board[y][x];
+      var t = partType(c);
+      if(!t) continue;
+      var x2 = this.w - 1 - x;
+      var e = m.getEmpty(x2, y);
+      if(e == ' ' || (e == '.' && t != 'gear')) {
+        lost.push([x, y]);
+        continue;
+      }
+      m.board[y][x2] = MIRRORSYMBOLS[c] || c;
+    }
+  }
+  return {machine: m, dx: 0, dy: 0, lost: lost};
+};
+
+/*
+Rectangular regions of the board, for copy and paste. A region is an object with
+fields w, h and cells (array of h rows of w symbols, ' ' where there is no part).
+Pasting keeps the pin rules of getEmpty: parts only go on full pins, except gears
+which also go on gear-only pins. Since the pins alternate, a region keeps fitting
+when moved by an even amount in x plus y.
+*/
+Machine.prototype.getRegion = function(x0, y0, w, h) {
+  var cells = [];
+  for(var y = 0; y < h; y++) {
+    cells[y] = [];
+    for(var x = 0; x < w; x++) {
+      var c = this.board[y0 + y][x0 + x];
+      cells[y][x] = partType(c) ? c : ' ';
+    }
+  }
+  return {w: w, h: h, cells: cells};
+};
+
+// returns list of [x, y] of the board cells where a part of the region does not fit with the region's top left corner at x0, y0
+Machine.prototype.regionMisfits = function(region, x0, y0) {
+  var result = [];
+  for(var y = 0; y < region.h; y++) {
+    for(var x = 0; x < region.w; x++) {
+      var t = partType(region.cells[y][x]);
+      if(!t) continue;
+      var x2 = x0 + x, y2 = y0 + y;
+      var e = (x2 >= 0 && x2 < this.w && y2 >= 0 && y2 < this.h) ? this.getEmpty(x2, y2) : ' ';
+      if(e == ' ' || (e == '.' && t != 'gear')) result.push([x2, y2]);
+    }
+  }
+  return result;
+};
+
+// returns list of [x, y] of the board cells that have a part which placing the region at x0, y0 would replace by another one
+Machine.prototype.regionOverwrites = function(region, x0, y0) {
+  var result = [];
+  for(var y = 0; y < region.h; y++) {
+    for(var x = 0; x < region.w; x++) {
+      var x2 = x0 + x, y2 = y0 + y;
+      if(x2 < 0 || x2 >= this.w || y2 < 0 || y2 >= this.h) continue;
+      var c = region.cells[y][x];
+      if(partType(c) && partType(this.board[y2][x2]) && this.board[y2][x2] != c) result.push([x2, y2]);
+    }
+  }
+  return result;
+};
+
+// places the region with its top left corner at x0, y0. Empty cells of the region empty the board there, or with
+// opt_keepempty leave it as it is. Parts that do not fit (see regionMisfits) are left out. Returns list of [x, y] of the changed cells.
+Machine.prototype.setRegion = function(region, x0, y0, opt_keepempty) {
+  var changed = [];
+  for(var y = 0; y < region.h; y++) {
+    for(var x = 0; x < region.w; x++) {
+      var x2 = x0 + x, y2 = y0 + y;
+      if(x2 < 0 || x2 >= this.w || y2 < 0 || y2 >= this.h) continue;
+      var e = this.getEmpty(x2, y2);
+      var c = region.cells[y][x];
+      var t = partType(c);
+      if(!t && opt_keepempty) continue;
+      if(!t || e == ' ' || (e == '.' && t != 'gear')) c = e;
+      if(this.board[y2][x2] != c) {
+        this.board[y2][x2] = c;
+        changed.push([x2, y2]);
+      }
+    }
+  }
+  return changed;
+};
+
+// empties the rectangle, returns list of [x, y] of the changed cells
+Machine.prototype.clearRegion = function(x0, y0, w, h) {
+  var cells = [];
+  for(var y = 0; y < h; y++) {
+    cells[y] = [];
+    for(var x = 0; x < w; x++) cells[y][x] = ' ';
+  }
+  return this.setRegion({w: w, h: h, cells: cells}, x0, y0);
+};
+
+var MIRRORSYMBOLS = {'/': '\\', '\\': '/', '%': '/', '(': ')', ')': '(', '{': '}', '}': '{'};
+
+// returns a copy of the region mirrored horizontally, with the ramps, bits and gear bits pointing to the other side
+function mirrorRegion(region) {
+  var cells = [];
+  for(var y = 0; y < region.h; y++) {
+    cells[y] = [];
+    for(var x = 0; x < region.w; x++) {
+      var c = region.cells[y][region.w - 1 - x];
+      cells[y][x] = MIRRORSYMBOLS[c] || c;
+    }
+  }
+  return {w: region.w, h: region.h, cells: cells};
+}
+
+// returns the rectangle of the board as text in the format of toText, including the empty pins
+Machine.prototype.regionToText = function(x0, y0, w, h) {
+  var s = '';
+  for(var y = y0; y < y0 + h; y++) {
+    for(var x = x0; x < x0 + w; x++) {
+      s += this.board[y][x];
+    }
+    s += '\n';
+  }
+  return s;
+};
+
+// parses text in the format of toText, of any size, into a region (see getRegion). Lines shorter than the longest are
+// padded with empty cells. Returns null if the text is empty or has symbols that are not parts or pins.
+function parseRegionText(s) {
+  var lines = s.replace(/\r/g, '').split('\n');
+  while(lines.length && lines[lines.length - 1] == '') lines.pop();
+  var w = 0;
+  for(var y = 0; y < lines.length; y++) w = Math.max(w, lines[y].length);
+  if(w == 0) return null;
+  var cells = [];
+  for(var y = 0; y < lines.length; y++) {
+    cells[y] = [];
+    for(var x = 0; x < w; x++) {
+      var c = lines[y][x] || ' ';
+      if(c == '%') c = '\\';
+      if(c == '.' || c == 'v' || c == 'V') c = ' ';
+      if(c != ' ' && !partType(c)) return null;
+      cells[y][x] = c;
+    }
+  }
+  return {w: w, h: lines.length, cells: cells};
+}
+
+/*
+Static check of the board, without running it. Follows every path a marble can
+take from both launch ramps, taking both directions at every bit and gear bit,
+and without physics (marbles on an empty pin fall straight down). Returns an
+object with fields:
+reached: object with keys 'x,y' for every cell a marble can arrive at
+warnings: list of {x, y, type, message}, with type one of:
+ 'unreachable': a part that no marble can ever arrive at (gears count as reached
+  if a gear bit in their group is)
+ 'freefall': a marble can arrive at an empty pin or a gear here, so it falls
+  down without a part guiding it, which on the real board is unreliable
+ 'crossover': a marble can arrive at this crossover falling straight down
+  instead of diagonally, so it is not defined to which side it goes
+ 'pin': a part on a spot where it does not fit, such as a part other than a
+  gear on a gear-only pin
+ 'gear': a gear group with gear bits pointing in different directions, which
+  would get stuck on the real board (see fixGearGroup)
+*/
+Machine.prototype.checkBoard = function() {
+  var W = this.w, H = this.h;
+  var result = {reached: {}, warnings: []};
+  var warned = {};
+  var warn = function(x, y, type, message) {
+    var key = type + ' ' + x + ',' + y;
+    if(warned[key]) return;
+    warned[key] = true;
+    result.warnings.push({x: x, y: y, type: type, message: message});
+  };
+
+  // each path state is [x, y, velx, falling] of a marble that just arrived at cell x, y, with falling true if it already fell off the path before
+  var stack = [[this.launchX(BLUE), -2, 1, false], [this.launchX(RED), -2, -1, false]];
+  var seen = {};
+  while(stack.length > 0) {
+    var s = stack.pop();
+    var x = s[0], y = s[1], velx = s[2], falling = s[3];
+    var key = x + ',' + y + ',' + velx + ',' + falling;
+    if(seen[key]) continue;
+    seen[key] = true;
+    var next = [velx];
+    if(y >= 0 && y < H) {
+      result.reached[x + ',' + y] = true;
+      var c = this.board[y][x];
+      var t = partType(c);
+      if(c == '_') continue; // stays in the interceptor
+      falling = false;
+      if(c == '\\' || c == '%') next = [1];
+      else if(c == '/') next = [-1];
+      else if(t == 'bit' || t == 'gearbit') next = [-1, 1];
+      else if(t == 'crossover') {
+        if(velx == 0) {
+          warn(x, y, 'crossover', 'a marble can fall straight down into the crossover at x=' + x + ', y=' + y);
+          next = [-1, 1];
+        }
+      } else if(y < H - 1) {
+        // empty pin or gear, the bottom row is where the marbles leave the board
+        if(!s[3]) warn(x, y, 'freefall', 'a marble can fall off the path at x=' + x + ', y=' + y + ' (' + (t == 'gear' ? 'it hits a gear' : 'there is no part') + ')');
+        falling = true;
+        next = [0];
+      } else {
+        next = [0];
+      }
+    }
+    if(y > H) continue; // arrived at the bottom
+    for(var i = 0; i < next.length; i++) {
+      var v = next[i];
+      if(v > 0 && x == W - 1) v = 0;
+      if(v < 0 && x == 0) v = 0;
+      stack.push([x + v, y + 1, v, falling]);
+    }
+  }
+
+  var gearsreached = {};
+  for(var y = 0; y < H; y++) {
+    for(var x = 0; x < W; x++) {
+      var c = this.board[y][x];
+      var t = partType(c);
+      if(!t) continue;
+      var pin = this.getEmpty(x, y);
+      if(pin == ' ') warn(x, y, 'pin', 'the ' + t + ' at x=' + x + ', y=' + y + ' is not on a pin');
+      else if(pin == '.' && t != 'gear') warn(x, y, 'pin', 'the ' + t + ' at x=' + x + ', y=' + y + ' is on a gear-only pin');
+      if(t == 'gear' || t == 'gearbit') {
+        if(gearsreached[x + ',' + y] != undefined) continue;
+        // handle the whole gear group at once
+        var group = this.getGearGroup(x, y);
+        var reached = false, left = false, right = false;
+        for(var i = 0; i < group.length; i++) {
+          var g = this.board[group[i][1]][group[i][0]];
+          if(result.reached[group[i].join(',')] && g != '*' && g != '+') reached = true;
+          if(g == '{') left = true;
+          if(g == '}') right = true;
+        }
+        for(var i = 0; i < group.length; i++) gearsreached[group[i].join(',')] = reached;
+        if(left && right) warn(x, y, 'gear', 'the gear group at x=' + x + ', y=' + y + ' has gear bits pointing in different directions');
+      }
+    }
+  }
+  for(var y = 0; y < H; y++) {
+    for(var x = 0; x < W; x++) {
+      var t = partType(this.board[y][x]);
+      if(!t) continue;
+      var reached = (t == 'gear' || t == 'gearbit') ? gearsreached[x + ',' + y] : result.reached[x + ',' + y];
+      if(!reached) warn(x, y, 'unreachable', 'no marble can reach the ' + t + ' at x=' + x + ', y=' + y);
+    }
+  }
+  return result;
+};
+
+// the x position at which marbles of this color are released at the top (at y=-2)
+Machine.prototype.launchX = function(color) {
+  return (color == BLUE) ? (this.d - 1) : (this.w - this.d);
+};
+
+// creates a new marble (but does not add it to the board)
+Machine.prototype.makeMarble = function(x, y, velx, color) {
+  // invelx is the x velocity the marble had when it arrived at its current cell
+  // fall is the amount of rows it has been in free fall with physics enabled (0 if not), fx its exact horizontal position then
+  // ambiguous is true if its path is uncertain because of an ambiguous landing
+  return {id: this.nextid++, x: x, y: y, velx: velx, color: color, invelx: velx, fall: 0, fx: x, ambiguous: false};
+};
+
+// returns the index in this.marbles of the marble at this position, or -1 if none
+Machine.prototype.marbleAt = function(x, y) {
+  for(var i = 0; i < this.marbles.length; i++) {
+    if(this.marbles[i].x == x && this.marbles[i].y == y) return i;
+  }
+  return -1;
+};
+
+// whether the given marble is held by an interceptor
+Machine.prototype.isIntercepted = function(marble) {
+  var row = this.board[marble.y];
+  return !!row && row[marble.x] == '_';
+};
+
+// removes the marble with the given index from the board (to your own pocket, not to the bottom or top of the board)
+Machine.prototype.removeMarble = function(index) {
+  this.marbles.splice(index, 1);
+  if(this.marbles.length == 0) this.status = STATUS_CRANK;
+};
+
+// removes all rolling marbles from the board (to your own pocket, not to the bottom or top of the board)
+Machine.prototype.removeMarbles = function() {
+  this.marbles = [];
+  this.history = [];
+  this.forgetSeen();
+  this.cycle = null;
+  this.status = STATUS_CRANK;
+};
+
+// puts all marbles back at the top, but does not change the board
+Machine.prototype.reset = function() {
+  this.numblue = this.totalblue;
+  this.numred = this.totalred;
+  this.removeMarbles();
+  this.bottommarbles = [];
+  this.ambiguous = [];
+  this.nondeterministic = false;
+  if(this.tracing) this.trace.push({type: 'reset'});
+};
+
+// remembers that the marble landed at this cell in a way that could go either way on the real board
+Machine.prototype.markAmbiguous = function(marble, x, y) {
+  marble.ambiguous = true;
+  this.nondeterministic = true;
+  for(var i = 0; i < this.ambiguous.length; i++) {
+    if(this.ambiguous[i][0] == x && this.ambiguous[i][1] == y) return;
+  }
+  this.ambiguous.push([x, y]);
+};
+
+// releases a marble of the given color at the top, in addition to any marbles already rolling. Returns false if there are none of that color left.
+Machine.prototype.crank = function(color) {
+  if(color == BLUE && this.numblue <= 0) return false;
+  if(color == RED && this.numred <= 0) return false;
+  this.marbles.push(this.makeMarble(this.launchX(color), -2, (color == BLUE) ? 1 : -1, color));
+  if(this.tracing) this.trace.push({type: 'crank', color: COLOR_NAMES[color]});
+  return true;
+};
+
+// manually adds a spare marble of the given color at the given position, with velocity matching the part there
+Machine.prototype.placeBall = function(x, y, color) {
+  var v = (y < 0 ? (x < this.w / 2 ? '\\' : '/') : this.board[y][x]);
+  var velx = 0;
+  if(v == '/' || v == '(' || v == '{') velx = -1;
+  else if(v == '\\' || v == ')' || v == '}') velx = 1;
+  else if(v == 'x') velx = (color == BLUE) ? 1 : -1;
+  var index = this.marbleAt(x, y);
+  if(index >= 0) this.marbles.splice(index, 1);
+  this.marbles.push(this.makeMarble(x, y, velx, color));
+  if(v == 'x') this.marbles[this.marbles.length - 1].invelx = 1; // direction known, so not dangerous
+  this.status = (v == '_' && this.marbles.length == 1) ? STATUS_INTERCEPTED : STATUS_ROLLING;
+  if(this.tracing) this.trace.push({type: 'place', id: this.nextid - 1, x: x, y: y, color: COLOR_NAMES[color]});
+};
+
+// whether no marble is in a state where a step can do anything
+Machine.prototype.cannotContinue = function() {
+  for(var i = 0; i < this.marbles.length; i++) {
+    var m = this.marbles[i];
+    if(this.isIntercepted(m)) continue;
+    if(m.y < -1 && (m.color == RED ? this.numred : this.numblue) <= 0) continue;
+    return false;
+  }
+  return true;
+};
+
+// whether the marble is on a spot where the emulation is not accurate (free fall or crossing with unknown direction, or after an ambiguous landing)
+Machine.prototype.inDanger = function(marble) {
+  if(marble.ambiguous) return true;
+  var row = this.board[marble.y];
+  if(!row || !row[marble.x]) return false;
+  var b = row[marble.x];
+  if(b == '.' || b == 'v' || b == '*' || b == '+') return !(this.physics && marble.fall > 0);
+  // in crossing but with unknown direction
+  if(b == 'x' && marble.invelx == 0) return true;
+  return false;
+};
+
+// returns the marbles in the order in which step() moves them: lowest on the board first, and among equal height the one released first
+Machine.prototype.getMarbleOrder = function() {
+  var order = this.marbles.slice(0);
+  order.sort(function(a, b) {
+    if(a.y != b.y) return b.y - a.y;
+    return a.id - b.id;
+  });
+  return order;
+};
+
+// lets the marble act on the part at its position, and adds the cells it changed to changed as [x, y, old symbol]
+Machine.prototype.hitPart = function(marble, changed) {
+  var board = this.board;
+  var x = marble.x, y = marble.y;
+  var c = board[y][x];
+  if(marble.fall > 0) {
+    if(this.isEmpty(x, y)) {
+      marble.fall++; // keeps flying
+      return;
+    }
+    if(c == '*' || c == '+') {
+      // gears are in between the pins of the parts, a marble flying past one may get deflected by it
+      this.markAmbiguous(marble, x, y);
+      marble.fall++;
+      return;
+    }
+    // lands on the part, this is ambiguous if it comes down in between this cell and the next one
+    if(Math.abs(marble.fx - x) > 0.5 - FALL_AMBIGUITY) this.markAmbiguous(marble, x, y);
+    marble.fall = 0;
+  }
+  if(c == '_') {
+    // stays in the interceptor
+  } else if(c == '\\') {
+    marble.velx = 1;
+  } else if(c == '/') {
+    marble.velx = -1;
+  } else if(c == '(') {
+    changed.push([x, y, c]);
+    board[y][x] = ')';
+    marble.velx = 1;
+  } else if(c == ')') {
+    changed.push([x, y, c]);
+    board[y][x] = '(';
+    marble.velx = -1;
+  } else if(c == '{' || c == '}') {
+    marble.velx = (c == '{') ? 1 : -1;
+    var group = this.getGearGroup(x, y);
+    for(var i = 0; i < group.length; i++) changed.push([group[i][0], group[i][1], board[group[i][1]][group[i][0]]]);
+    this.toggleGear(x, y);
+  } else if(c == 'x') {
+    if(marble.velx == 0) marble.velx = (marble.color == BLUE ? 1 : -1);
+  } else if(this.physics && marble.velx != 0 && this.isEmpty(x, y)) {
+    // starts a free fall, keeping its momentum
+    marble.fall = 1;
+    marble.fx = x;
+  } else {
+    if(this.physics && marble.velx != 0) this.markAmbiguous(marble, x, y); // bumps into a gear
+    marble.velx = 0;
+  }
+};
+
+/*
+Moves all marbles one step. Every marble moves one row down per step, and by its
+x velocity sideways. The rules for multiple marbles at the same time are:
+-marbles are moved one by one: the lowest on the board first, and among marbles at
+ the same height the one that was released first. That way a queue of marbles
+ advances together.
+-a marble cannot enter a cell where another marble is (after the marbles moved
+ before it in this step): it waits in place, keeping its velocity, and tries
+ again next step. So marbles queue up behind a marble held in an interceptor.
+-marbles at the release point at the top (y=-2) are waiting behind the lever, any
+ amount of them can be there. A marble leaving that point takes one from the top
+ count, if that count is 0 the marble is gone.
+-each marble arriving at the bottom triggers the release of a new marble of the
+ color of the side it arrived at, as on the real board.
+-two marbles side by side that move diagonally towards each other pass each
+ other. On the real board they would bump into each other in a way that is not
+ emulated, so both landings are marked as ambiguous (see markAmbiguous).
+-a step in which no marble moves and nothing else changes is not recorded in the
+ history, so back() does not need an extra step to undo it.
+With physics enabled, marbles in free fall move sideways as computed by fallDrift
+instead of one cell per step, and land on the part at the cell nearest to them.
+Returns an object describing what happened, with fields:
+marbles: list of {id, x, y, color, part, waited} for every marble that was on the
+ board, with its new position and the part it arrived on before it acted (undefined if not on the board)
+changed: list of [x, y] of cells whose symbol changed (bits and gear groups flipped)
+outputs: colors of the marbles that arrived at the bottom this step
+stopped: true if no marble can move anymore (intercepted, out of marbles, fell off),
+ or if the state is the same as after an earlier step (looping, see cycle)
+*/
+Machine.prototype.step = function() {
+  var W = this.w, H = this.h;
+  var result = {marbles: [], changed: [], outputs: [], stopped: false};
+  var record = {marbles: clone(this.marbles), numblue: this.numblue, numred: this.numred,
+                status: this.status, nbottom: this.bottommarbles.length, cells: [],
+                nambiguous: this.ambiguous.length, nondeterministic: this.nondeterministic};
+  if(!this.seenboard || this.boardEditedSinceStep()) {
+    // states seen before the board was edited (by hand, pasting, setting a register, ...) say nothing about it anymore
+    this.forgetSeen();
+    this.seenboard = clone(this.board);
+    this.boardhash = 0;
+    for(var y = 0; y < H; y++) {
+      for(var x = 0; x < W; x++) this.boardhash ^= cellHash(y * W + x, this.board[y][x]);
+    }
+  }
+
+  var order = this.getMarbleOrder();
+  var moved = false;
+  var removed = {};
+  var moves = {}; // 'x,y' of the cells marbles left this step, to {marble, x, y} with where they went
+  for(var i = 0; i < order.length; i++) {
+    var m = order[i];
+    var info = {id: m.id, x: m.x, y: m.y, color: m.color, part: undefined, waited: false};
+    result.marbles.push(info);
+    if(this.isIntercepted(m)) continue;
+    var velx = m.velx;
+    var x, fx = 0, wall = false;
+    if(m.fall > 0) {
+      fx = m.fx + velx * fallDrift(m.fall);
+      x = Math.round(fx);
+      if(x < 0 || x >= W) {
+        // bounces off the side of the board in an unknown way
+        x = (x < 0) ? 0 : (W - 1);
+        wall = true;
+      }
+    } else {
+      if(velx > 0 && m.x == W - 1) velx = 0;
+      if(velx < 0 && m.x == 0) velx = 0;
+      x = m.x + velx;
+    }
+    var y = m.y + 1;
+    if(y <= H && this.marbleAt(x, y) >= 0) {
+      info.waited = true;
+      continue;
+    }
+    if(m.y == -2) {
+      if(m.color == BLUE) {
+        if(this.numblue <= 0) {
+          removed[m.id] = true;
+          this.status = STATUS_NOBLUE;
+          continue;
+        }
+        else this.numblue--;
+      } else {
+        if(this.numred <= 0) {
+          removed[m.id] = true;
+          this.status = STATUS_NORED;
+          continue;
+        }
+        else this.numred--;
+      }
+    }
+    moved = true;
+    var crossing = (y >= 0 && y < H && x != m.x) ? moves[x + ',' + m.y] : null;
+    if(crossing && crossing.x == m.x && crossing.y == y) {
+      this.markAmbiguous(m, x, y);
+      this.markAmbiguous(crossing.marble, crossing.x, crossing.y);
+    }
+    moves[m.x + ',' + m.y] = {marble: m, x: x, y: y};
+    m.x = x;
+    m.y = y;
+    m.velx = velx;
+    m.invelx = velx;
+    m.fx = (m.fall > 0) ? fx : x;
+    if(wall) {
+      this.markAmbiguous(m, x, y);
+      m.fall = 0;
+      m.velx = m.invelx = 0;
+    }
+    if(y == H + 1) {
+      this.bottommarbles.push(m.color);
+      result.outputs.push(m.color);
+      var newcolor = (x < W / 2) ? BLUE : RED;
+      if((newcolor == BLUE ? this.numblue : this.numred) <= 0) {
+        removed[m.id] = true;
+        this.status = (newcolor == BLUE) ? STATUS_NOBLUE : STATUS_NORED;
+      } else {
+        m.x = this.launchX(newcolor);
+        m.y = -2;
+        m.velx = m.invelx = (newcolor == BLUE) ? 1 : -1;
+        m.color = newcolor;
+        m.fall = 0;
+        m.fx = m.x;
+        m.ambiguous = false;
+      }
+    } else if(y >= 0 && y < H) {
+      info.part = this.board[y][x];
+      this.hitPart(m, record.cells);
+    }
+    info.x = m.x;
+    info.y = m.y;
+    info.color = m.color;
+  }
+
+  var marbles = [];
+  for(var i = 0; i < this.marbles.length; i++) {
+    if(!removed[this.marbles[i].id]) marbles.push(this.marbles[i]);
+  }
+  this.marbles = marbles;
+
+  result.stopped = !moved || this.cannotContinue();
+  if(!result.stopped) {
+    this.status = STATUS_ROLLING;
+  } else {
+    for(var i = 0; i < this.marbles.length; i++) {
+      if(this.isIntercepted(this.marbles[i])) this.status = STATUS_INTERCEPTED;
+    }
+    if(this.marbles.length == 0 && this.status == STATUS_ROLLING) this.status = STATUS_CRANK;
+  }
+
+  if(!moved && this.marbles.length == record.marbles.length && this.status == record.status) return result;
+
+  for(var i = 0; i < record.cells.length; i++) result.changed.push([record.cells[i][0], record.cells[i][1]]);
+  this.history.push(record);
+  this.updateSeenBoard(record.cells);
+  if(!result.stopped) {
+    var key = this.getStateKey();
+    var prev = this.seen[key];
+    // the key has only a hash of the board, so check the board itself before calling it a loop
+    if(prev && this.sameBoardAsAfter(prev.steps)) {
+      this.status = STATUS_LOOPING;
+      this.cycle = {length: this.history.length - prev.steps, outputs: this.bottommarbles.slice(prev.nbottom)};
+      result.stopped = true;
+    } else if(!prev) {
+      this.seen[key] = {steps: this.history.length, nbottom: this.bottommarbles.length};
+      this.seenkeys[this.history.length - 1] = key;
+    }
+  }
+  if(this.tracing) this.traceStep(result, record);
+  return result;
+};
+
+/*
+Moves all marbles one step back in time, as far as the history since the last
+reset allows. Returns an object with fields changed (as in step()) and outputs
+(colors of marbles taken back from the bottom), or returns null if it cannot go
+back further.
+*/
+Machine.prototype.back = function() {
+  if(this.history.length == 0) return null;
+  if(this.tracing) {
+    // the step is undone, so it is no longer part of the trace
+    for(var i = this.trace.length - 1; i >= 0; i--) {
+      if(this.trace[i].type == 'step' && this.trace[i].time == this.history.length) {
+        this.trace.splice(i, 1);
+        break;
+      }
+    }
+  }
+  // the state after the undone step is no longer seen
+  var key = this.seenkeys[this.history.length - 1];
+  if(key != undefined && this.seen[key].steps == this.history.length) delete this.seen[key];
+  this.seenkeys.length = Math.min(this.seenkeys.length, this.history.length - 1);
+  var record = this.history.pop();
+  var result = {marbles: [], changed: [], outputs: this.bottommarbles.slice(record.nbottom), stopped: false};
+  for(var i = record.cells.length - 1; i >= 0; i--) {
+    var c = record.cells[i];
+    this.board[c[1]][c[0]] = c[2];
+    result.changed.push([c[0], c[1]]);
+  }
+  this.updateSeenBoard(record.cells);
+  this.marbles = record.marbles;
+  this.numblue = record.numblue;
+  this.numred = record.numred;
+  this.status = record.status;
+  this.bottommarbles.length = record.nbottom;
+  if(this.status != STATUS_LOOPING) this.cycle = null;
+  this.ambiguous.length = record.nambiguous;
+  this.nondeterministic = record.nondeterministic;
+  return result;
+};
+
+/*
+Starts recording a trace: from now on every step, crank, manually placed marble
+and reset is appended to this.trace. The entries are objects with a field type:
+crank: {type, color}
+place: {type, id, x, y, color} for a marble added with placeBall
+reset: {type}
+step: {type, time, marbles, flips, outputs, status, prevstatus}, where time is
+ the amount of steps since the last reset, marbles is the list of
+ {id, x, y, color, part, waited} of step(), flips is the list of {x, y, from, to}
+ of all bits and gears (whole gear groups) that changed, outputs the colors of
+ the marbles that arrived at the bottom, and status and prevstatus the status
+ after and before the step.
+Colors and statuses are given by name, see COLOR_NAMES and STATUS_NAMES.
+*/
+Machine.prototype.startTrace = function() {
+  this.tracing = true;
+  this.trace = [];
+  this.traceboard = this.toText();
+};
+
+// stops recording, the trace so far stays available for export
+Machine.prototype.stopTrace = function() {
+  this.tracing = false;
+};
+
+// appends the step with the given result and history record (see step()) to the trace
+Machine.prototype.traceStep = function(result, record) {
+  var marbles = [];
+  for(var i = 0; i < result.marbles.length; i++) {
+    var m = result.marbles[i];
+    marbles.push({id: m.id, x: m.x, y: m.y, color: COLOR_NAMES[m.color], part: m.part || '', waited: m.waited});
+  }
+  var flips = [];
+  for(var i = 0; i < record.cells.length; i++) {
+    var c = record.cells[i];
+    flips.push({x: c[0], y: c[1], from: c[2], to: this.board[c[1]][c[0]]});
+  }
+  var outputs = [];
+  for(var i = 0; i < result.outputs.length; i++) outputs.push(COLOR_NAMES[result.outputs[i]]);
+  this.trace.push({type: 'step', time: this.history.length, marbles: marbles, flips: flips, outputs: outputs,
+                   status: STATUS_NAMES[this.status], prevstatus: STATUS_NAMES[record.status]});
+};
+
+// returns the trace as JSON text, together with the board at the start of the trace
+Machine.prototype.traceToJson = function() {
+  return JSON.stringify({w: this.w, h: this.h, board: this.traceboard.split('\n').slice(0, this.h), trace: this.trace || []}, null, 1);
+};
+
+/*
+Returns the trace as CSV text, with one line per event, in the columns:
+entry,type,time,id,x,y,color,part,waited,from,to
+where entry is the index in the trace. Each step gives a line of type marble
+per marble, flip per changed cell (from and to the symbols), output per marble
+arriving at the bottom (with its color) and status if the status changed (from
+and to the status names).
+*/
+Machine.prototype.traceToCsv = function() {
+  var lines = ['entry,type,time,id,x,y,color,part,waited,from,to'];
+  var line = function(values) {
+    for(var i = 0; i < values.length; i++) {
+      var v = (values[i] == undefined) ? '' : ('' + values[i]);
+      if(v.indexOf(',') >= 0 || v.indexOf('"') >= 0) v = '"' + v.replace(/"/g, '""') + '"';
+      values[i] = v;
+    }
+    lines.push(values.join(','));
+  };
+  var trace = this.trace || [];
+  for(var i = 0; i < trace.length; i++) {
+    var e = trace[i];
+    if(e.type != 'step') {
+      line([i, e.type, '', e.id, e.x, e.y, e.color, '', '', '', '']);
+      continue;
+    }
+    for(var j = 0; j < e.marbles.length; j++) {
+      var m = e.marbles[j];
+      line([i, 'marble', e.time, m.id, m.x, m.y, m.color, m.part, m.waited ? 1 : 0, '', '']);
+    }
+    for(var j = 0; j < e.flips.length; j++) {
+      var f = e.flips[j];
+      line([i, 'flip', e.time, '', f.x, f.y, '', '', '', f.from, f.to]);
+    }
+    for(var j = 0; j < e.outputs.length; j++) line([i, 'output', e.time, '', '', '', e.outputs[j], '', '', '', '']);
+    if(e.status != e.prevstatus) line([i, 'status', e.time, '', '', '', '', '', '', e.prevstatus, e.status]);
+  }
+  return lines.join('\n') + '\n';
+};
+
+// runs steps until the marbles stop or maxSteps is reached. Returns the amount of steps done.
+Machine.prototype.run = function(maxSteps) {
+  var steps = 0;
+  while(steps < maxSteps) {
+    if(this.cannotContinue()) break;
+    steps++;
+    if(this.step().stopped) break;
+  }
+  return steps;
+};
+
+/*
+Returns a string describing everything that determines what the machine does
+next: the hash of the board with the state of all bits and gears (boardhash, kept
+up to date by step), the marble counts at the top and the position, velocity and
+color of every rolling marble. Used for cycle detection: if this is the same as
+after an earlier step and so is the board, the machine loops.
+*/
+Machine.prototype.getStateKey = function() {
+  var marbles = [];
+  for(var i = 0; i < this.marbles.length; i++) {
+    var m = this.marbles[i];
+    marbles.push([m.x, m.y, m.velx, m.invelx, m.color, m.fall, m.fx].join(','));
+  }
+  marbles.sort(); // the order of the marbles does not matter, only where they are
+  return this.boardhash + '|' + this.numblue + ',' + this.numred + '|' + marbles.join(';');
+};
+
+// forgets the states seen for cycle detection, e.g. after a reset. Also after board edits, step() notices those itself.
+Machine.prototype.forgetSeen = function() {
+  this.seen = {};
+  this.seenkeys = [];
+  this.seenboard = null;
+  this.boardhash = 0;
+};
+
+// whether the board differs from seenboard in a way that steps did not cause
+Machine.prototype.boardEditedSinceStep = function() {
+  for(var y = 0; y < this.h; y++) {
+    var row = this.board[y], seenrow = this.seenboard[y];
+    for(var x = 0; x < this.w; x++) if(row[x] != seenrow[x]) return true;
+  }
+  return false;
+};
+
+// updates seenboard and boardhash for the cells (list of [x, y, ...]) that a step or step back changed
+Machine.prototype.updateSeenBoard = function(cells) {
+  if(!this.seenboard) return;
+  for(var i = 0; i < cells.length; i++) {
+    var x = cells[i][0], y = cells[i][1];
+    var index = y * this.w + x;
+    this.boardhash ^= cellHash(index, this.seenboard[y][x]) ^ cellHash(index, this.board[y][x]);
+    this.seenboard[y][x] = this.board[y][x];
+  }
+};
+
+// whether the board is the same as it was after step s, an earlier step since the last board edit. Only the cells
+// flipped since then can differ, their value after step s is the one before the first flip after it.
+Machine.prototype.sameBoardAsAfter = function(s) {
+  var earlier = {};
+  for(var i = this.history.length - 1; i >= s; i--) {
+    var cells = this.history[i].cells;
+    for(var j = cells.length - 1; j >= 0; j--) earlier[cells[j][0] + ',' + cells[j][1]] = cells[j];
+  }
+  for(var k in earlier) {
+    if(!earlier.hasOwnProperty(k)) continue;
+    var c = earlier[k];
+    if(this.board[c[1]][c[0]] != c[2]) return false;
+  }
+  return true;
+};
+
+// returns a plain object (that can be given to JSON.stringify) with the full simulation state. Marble counts are given as text, see marbleCountToText
+Machine.prototype.getState = function() {
+  var rows = [];
+  for(var y = 0; y < this.h; y++) rows[y] = this.board[y].join('');
+  return {
+    w: this.w,
+    h: this.h,
+    board: rows,
+    numblue: marbleCountToText(this.numblue),
+    numred: marbleCountToText(this.numred),
+    totalblue: marbleCountToText(this.totalblue),
+    totalred: marbleCountToText(this.totalred),
+    marbles: clone(this.marbles),
+    bottommarbles: this.bottommarbles.slice(0),
+    status: this.status,
+    ambiguous: clone(this.ambiguous),
+    locked: this.getLockCode(),
+    cycle: clone(this.cycle)
+  };
+};
+
+// restores a state returned by getState. Returns false if the board size does not match. This clears the history for stepping back.
+Machine.prototype.setState = function(state) {
+  if(state.w != this.w || state.h != this.h) return false;
+  for(var y = 0; y < this.h; y++) this.board[y] = state.board[y].split('');
+  this.numblue = parseMarbleCount('' + state.numblue);
+  this.numred = parseMarbleCount('' + state.numred);
+  this.totalblue = parseMarbleCount('' + state.totalblue);
+  this.totalred = parseMarbleCount('' + state.totalred);
+  this.marbles = clone(state.marbles);
+  this.nextid = 0;
+  for(var i = 0; i < this.marbles.length; i++) this.nextid = Math.max(this.nextid, this.marbles[i].id + 1);
+  this.bottommarbles = state.bottommarbles.slice(0);
+  this.status = state.status;
+  this.ambiguous = state.ambiguous ? clone(state.ambiguous) : [];
+  this.nondeterministic = this.ambiguous.length > 0;
+  this.loadLockCode(state.locked || '');
+  this.history = [];
+  this.forgetSeen();
+  this.cycle = state.cycle ? clone(state.cycle) : null;
+  return true;
+};
+
+if(typeof module != 'undefined' && module.exports) {
+  module.exports = {
+    Machine: Machine,
+    launchRampOffset: launchRampOffset,
+    fallDrift: fallDrift,
+    mirrorRegion: mirrorRegion,
+    parseRegionText: parseRegionText,
+    marbleCountToText: marbleCountToText,
+    parseMarbleCount: parseMarbleCount,
+    partType: partType,
+    BLUE: BLUE,
+    RED: RED,
+    STATUS_CRANK: STATUS_CRANK,
+    STATUS_ROLLING: STATUS_ROLLING,
+    STATUS_INTERCEPTED: STATUS_INTERCEPTED,
+    STATUS_NOBLUE: STATUS_NOBLUE,
+    STATUS_NORED: STATUS_NORED,
+    STATUS_LOOPING: STATUS_LOOPING,
+    STATUS_NAMES: STATUS_NAMES,
+    COLOR_NAMES: COLOR_NAMES
+  };
+}